@@ -41,3 +41,151 @@ SELECT
 FROM whale_searches
 WHERE searched_at > NOW() - INTERVAL '24 hours'
 GROUP BY wallet_address;
+
+-- API cache table (persistent backend for RugCheck / bundle / DexScreener lookups)
+-- Used when CACHE_BACKEND=supabase so caches survive restarts
+CREATE TABLE api_cache (
+    source TEXT NOT NULL,
+    cache_key TEXT NOT NULL,
+    data JSONB,
+    cached_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (source, cache_key)
+);
+
+-- Index for expired entry cleanup
+CREATE INDEX idx_api_cache_cached_at ON api_cache(source, cached_at);
+
+-- Holder concentration snapshots (one row per fresh RugCheck / on-chain holder fetch)
+CREATE TABLE holder_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    contract TEXT NOT NULL,
+    top_holders_percent NUMERIC,
+    creator_percent NUMERIC,
+    rugcheck_score INTEGER,
+    source TEXT DEFAULT 'rugcheck',
+    captured_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Index for per-token history queries
+CREATE INDEX idx_holder_snapshots_contract ON holder_snapshots(contract, captured_at DESC);
+
+-- Creator ledger (every token each creator launched, peak market cap, rugs)
+CREATE TABLE creator_tokens (
+    creator_address TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    symbol TEXT,
+    source TEXT,
+    launched_at TIMESTAMP,
+    peak_market_cap NUMERIC DEFAULT 0,
+    rugged BOOLEAN DEFAULT FALSE,
+    rugged_at TIMESTAMP,
+    last_checked_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (creator_address, contract)
+);
+
+-- Index for rug recheck job
+CREATE INDEX idx_creator_tokens_recheck ON creator_tokens(rugged, last_checked_at);
+
+-- Known accounts registry (LPs, CEXs, burn, lockers, vesting... excluded from holder totals; bots label early buyers)
+CREATE TABLE known_accounts (
+    address TEXT PRIMARY KEY,
+    label TEXT,
+    category TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Index for category listing
+CREATE INDEX idx_known_accounts_category ON known_accounts(category);
+
+-- Bundle risk profiles (built-ins conservative/default/degen live in code; rows add or override)
+CREATE TABLE bundle_risk_profiles (
+    name TEXT PRIMARY KEY,
+    thresholds JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Launchpad registry (built-ins bags/printr/easy/pump live in code; rows add or override by id)
+-- detection: { programIds: [], configKeys: [], suffix, suffixCaseSensitive }
+CREATE TABLE launchpads (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    detection JSONB NOT NULL,
+    url_template TEXT,
+    graduation JSONB,
+    enabled BOOLEAN DEFAULT TRUE,
+    scan BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Persisted launch feed (one row per token; revision is the client cursor for /api/launches?after=)
+CREATE SEQUENCE launches_revision_seq;
+
+CREATE TABLE launches (
+    id BIGSERIAL PRIMARY KEY,
+    contract TEXT NOT NULL UNIQUE,
+    source TEXT,
+    symbol TEXT,
+    launched_at TIMESTAMP,
+    data JSONB NOT NULL,
+    revision BIGINT NOT NULL DEFAULT nextval('launches_revision_seq'),
+    first_seen_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_launches_revision ON launches(revision);
+
+-- Move a launch to the end of the feed whenever its data changes (re-ingesting unchanged data doesn't)
+CREATE FUNCTION bump_launch_revision() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.data IS DISTINCT FROM OLD.data THEN
+        NEW.revision := nextval('launches_revision_seq');
+    ELSE
+        NEW.revision := OLD.revision;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER launches_bump_revision
+    BEFORE INSERT OR UPDATE ON launches
+    FOR EACH ROW EXECUTE FUNCTION bump_launch_revision();
+
+-- Poll cursors for chain watchers (cursor = newest signature processed, gaps = unread ranges)
+CREATE TABLE watcher_checkpoints (
+    name TEXT PRIMARY KEY,
+    cursor TEXT,
+    gaps JSONB DEFAULT '[]',
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Meteora DBC pools decoded from their initialisation instruction (curve = config parameters)
+CREATE TABLE dbc_pools (
+    mint TEXT PRIMARY KEY,
+    pool TEXT NOT NULL,
+    creator TEXT,
+    config TEXT,
+    quote_mint TEXT,
+    launchpad TEXT,
+    name TEXT,
+    symbol TEXT,
+    uri TEXT,
+    curve JSONB,
+    signature TEXT,
+    slot BIGINT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Social links seen per launch (one link on many mints flags copy-pasted socials)
+CREATE TABLE launch_social_links (
+    mint TEXT NOT NULL,
+    link_type TEXT NOT NULL,
+    link TEXT NOT NULL,
+    first_seen_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (mint, link_type, link)
+);
+
+CREATE INDEX idx_launch_social_links_link ON launch_social_links(link_type, link);
@@ -3,6 +3,11 @@ dns.setDefaultResultOrder('ipv4first');
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const net = require('net');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { Agent } = require('undici');
 const cron = require('node-cron');
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
@@ -31,16 +36,18 @@ const TWITTER_BASE_URL = 'https://api.twitter.com/2';
 // ==========================================
 
 // Fetch user's following list
-async function fetchUserFollowing(username, limit = 10) {
+// X calls are queued on the 'x' rate limiter (user searches default to PRIORITY.USER)
+async function fetchUserFollowing(username, limit = 10, priority = PRIORITY.USER) {
     try {
         // First get user ID
-        const userResponse = await fetch(
+        const userResponse = await limitedFetch('x',
             `${TWITTER_BASE_URL}/users/by/username/${username}`,
             {
                 headers: {
                     'Authorization': `Bearer ${TWITTER_BEARER_TOKEN}`
                 }
-            }
+            },
+            { priority }
         );
         
         if (!userResponse.ok) {
@@ -56,13 +63,14 @@ async function fetchUserFollowing(username, limit = 10) {
             'user.fields': 'username,description,created_at,public_metrics,verified,url'
         });
         
-        const response = await fetch(
+        const response = await limitedFetch('x',
             `${TWITTER_BASE_URL}/users/${userId}/following?${params}`,
             {
                 headers: {
                     'Authorization': `Bearer ${TWITTER_BEARER_TOKEN}`
                 }
-            }
+            },
+            { priority }
         );
         
         if (!response.ok) {
@@ -121,93 +129,592 @@ async function logWhaleSearch(walletAddress, username, resultsCount) {
 // ===========================================
 
 // ==========================================
-// RUGCHECK API FUNCTION
+// CACHE LAYER
 // ==========================================
 
-// Cache for RugCheck data (in-memory, clears on restart)
-const rugCheckCache = new Map();
-const RUGCHECK_CACHE_TTL = 5 * 60 * 1000; // 5 minutes cache
+// Backend for cached lookups:
+//   'memory'   - in-process only, lost on every restart/redeploy (default)
+//   'supabase' - in-process copy in front of the api_cache table, survives restarts
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+const CACHE_TABLE = 'api_cache';
 
-// Rate limiting - RugCheck has strict limits
-let lastRugCheckCall = 0;
-const RUGCHECK_DELAY = 1200; // 1.2s between calls to avoid 429s
+// All caches by name (for stats + cleanup)
+const caches = new Map();
+
+// Read a persisted cache entry (null on miss or error)
+async function readPersistentCacheEntry(source, key) {
+    const { data, error } = await supabase
+        .from(CACHE_TABLE)
+        .select('data, cached_at')
+        .eq('source', source)
+        .eq('cache_key', key)
+        .maybeSingle();
+    
+    if (error) throw error;
+    if (!data) return null;
+    
+    return { data: data.data, timestamp: new Date(data.cached_at).getTime() };
+}
 
-// Helper
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Persist a cache entry (upsert on source + key)
+async function writePersistentCacheEntry(source, key, entry) {
+    const { error } = await supabase
+        .from(CACHE_TABLE)
+        .upsert({
+            source: source,
+            cache_key: key,
+            data: entry.data,
+            cached_at: new Date(entry.timestamp).toISOString()
+        }, { onConflict: 'source,cache_key' });
+    
+    if (error) throw error;
+}
 
-// Clean up old cache entries every 10 minutes
-setInterval(() => {
-    const now = Date.now();
-    let cleaned = 0;
-    for (const [key, value] of rugCheckCache.entries()) {
-        if (now - value.timestamp > RUGCHECK_CACHE_TTL) {
-            rugCheckCache.delete(key);
-            cleaned++;
+// Create a named cache
+// ttl:      how long an entry is fresh
+// staleTtl: how long AFTER ttl a stale entry may still be served while it is
+//           refreshed in the background (stale-while-revalidate)
+function createCache(name, { ttl, staleTtl = 0, persistent = CACHE_BACKEND === 'supabase' }) {
+    const memory = new Map(); // key -> { data, timestamp }
+    const revalidating = new Set();
+    const counters = { hits: 0, staleHits: 0, misses: 0, writes: 0, revalidations: 0, errors: 0 };
+    
+    // Returns { data, stale } or null if missing/expired
+    async function get(key) {
+        let entry = memory.get(key);
+        
+        if (!entry && persistent) {
+            try {
+                entry = await readPersistentCacheEntry(name, key);
+                if (entry) memory.set(key, entry);
+            } catch (err) {
+                counters.errors++;
+                console.log(`⚠️ Cache read error (${name}): ${err.message}`);
+            }
+        }
+        
+        const age = entry ? Date.now() - entry.timestamp : Infinity;
+        if (age < ttl) {
+            counters.hits++;
+            return { data: entry.data, stale: false };
+        }
+        if (age < ttl + staleTtl) {
+            counters.staleHits++;
+            return { data: entry.data, stale: true };
+        }
+        
+        counters.misses++;
+        return null;
+    }
+    
+    function set(key, data) {
+        const entry = { data, timestamp: Date.now() };
+        memory.set(key, entry);
+        counters.writes++;
+        
+        if (persistent) {
+            writePersistentCacheEntry(name, key, entry).catch(err => {
+                counters.errors++;
+                console.log(`⚠️ Cache write error (${name}): ${err.message}`);
+            });
+        }
+    }
+    
+    // Refresh a stale entry in the background - at most one refresh per key at a time.
+    // refresh() is expected to set() the new value itself.
+    function revalidate(key, refresh) {
+        if (revalidating.has(key)) return;
+        revalidating.add(key);
+        counters.revalidations++;
+        
+        Promise.resolve()
+            .then(refresh)
+            .catch(err => {
+                counters.errors++;
+                console.log(`⚠️ Cache revalidate error (${name}): ${err.message}`);
+            })
+            .finally(() => revalidating.delete(key));
+    }
+    
+    // Drop entries that can no longer be served (fresh or stale)
+    async function prune() {
+        const maxAge = ttl + staleTtl;
+        const now = Date.now();
+        let cleaned = 0;
+        for (const [key, entry] of memory.entries()) {
+            if (now - entry.timestamp > maxAge) {
+                memory.delete(key);
+                cleaned++;
+            }
+        }
+        
+        if (persistent) {
+            const { error } = await supabase
+                .from(CACHE_TABLE)
+                .delete()
+                .eq('source', name)
+                .lt('cached_at', new Date(now - maxAge).toISOString());
+            if (error) {
+                counters.errors++;
+                console.log(`⚠️ Cache prune error (${name}): ${error.message}`);
+            }
+        }
+        
+        return cleaned;
+    }
+    
+    function stats() {
+        const lookups = counters.hits + counters.staleHits + counters.misses;
+        return {
+            ...counters,
+            size: memory.size,
+            hitRate: lookups > 0 ? (((counters.hits + counters.staleHits) / lookups) * 100).toFixed(1) + '%' : null,
+            ttlSeconds: ttl / 1000,
+            staleTtlSeconds: staleTtl / 1000,
+            backend: persistent ? 'supabase' : 'memory'
+        };
+    }
+    
+    const cache = { name, get, set, delete: (key) => memory.delete(key), revalidate, prune, stats };
+    caches.set(name, cache);
+    return cache;
+}
+
+// Clean up expired cache entries every 10 minutes
+setInterval(async () => {
+    for (const cache of caches.values()) {
+        try {
+            const cleaned = await cache.prune();
+            if (cleaned > 0) {
+                console.log(`🧹 Cleaned ${cleaned} expired ${cache.name} cache entries`);
+            }
+        } catch (err) {
+            console.log(`⚠️ Cache cleanup error (${cache.name}): ${err.message}`);
+        }
+    }
+}, 10 * 60 * 1000);
+
+// Cache hit/miss counters
+app.get('/api/cache/stats', (req, res) => {
+    const stats = {};
+    for (const [name, cache] of caches.entries()) {
+        stats[name] = cache.stats();
+    }
+    
+    res.json({
+        success: true,
+        backend: CACHE_BACKEND,
+        caches: stats,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ==========================================
+// OUTBOUND RATE LIMITING
+// ==========================================
+
+// Request priorities - lower runs first (FIFO within the same priority)
+// USER: someone is waiting on it (refresh click), BACKGROUND: enrichment/revalidation
+const PRIORITY = { USER: 0, NORMAL: 1, BACKGROUND: 2 };
+
+// Token bucket per upstream provider
+// ratePerSecond: steady refill rate, burst: bucket size
+const RATE_LIMITS = {
+    rugcheck: { ratePerSecond: 1 / 1.2, burst: 1 },   // ~1 call per 1.2s, RugCheck 429s easily
+    dexscreener: { ratePerSecond: 4, burst: 10 },     // 300 req/min documented limit
+    helius: { ratePerSecond: 8, burst: 10 },          // Free/dev plan RPS
+    moralis: { ratePerSecond: 2, burst: 5 },
+    x: { ratePerSecond: 0.5, burst: 3 },
+    metadata: { ratePerSecond: 5, burst: 10 }         // Token metadata JSON (IPFS / Arweave / launchpad hosts)
+};
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = new Date(header).getTime();
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Create a token-bucket queue for one provider
+function createRateLimiter(name, { ratePerSecond, burst }) {
+    const queue = []; // [{ priority, start }] sorted by priority
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let timer = null;
+    const counters = { scheduled: 0, started: 0, throttled: 0, maxQueueDepth: 0 };
+    
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    }
+    
+    function wake(ms) {
+        if (!timer) timer = setTimeout(drain, Math.ceil(ms));
+    }
+    
+    // Start as many queued jobs as we have tokens for
+    function drain() {
+        timer = null;
+        while (queue.length > 0) {
+            const now = Date.now();
+            if (now < pausedUntil) return wake(pausedUntil - now);
+            
+            refill();
+            if (tokens < 1) return wake(((1 - tokens) / ratePerSecond) * 1000);
+            
+            tokens -= 1;
+            counters.started++;
+            queue.shift().start();
+        }
+    }
+    
+    // Run fn once a token is available
+    function schedule(fn, priority = PRIORITY.NORMAL) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                priority,
+                start: () => Promise.resolve().then(fn).then(resolve, reject)
+            };
+            
+            const index = queue.findIndex(j => j.priority > priority);
+            if (index === -1) queue.push(job);
+            else queue.splice(index, 0, job);
+            
+            counters.scheduled++;
+            counters.maxQueueDepth = Math.max(counters.maxQueueDepth, queue.length);
+            drain();
+        });
+    }
+    
+    // Upstream said 429 - stop sending until the Retry-After window has passed
+    function throttle(ms) {
+        counters.throttled++;
+        pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        tokens = 0;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        wake(pausedUntil - Date.now());
+    }
+    
+    function stats() {
+        refill();
+        const byPriority = {};
+        for (const [label, value] of Object.entries(PRIORITY)) {
+            byPriority[label.toLowerCase()] = queue.filter(j => j.priority === value).length;
+        }
+        return {
+            ...counters,
+            queueDepth: queue.length,
+            queued: byPriority,
+            tokens: Math.round(tokens * 100) / 100,
+            ratePerSecond: ratePerSecond,
+            burst: burst,
+            pausedForMs: Math.max(0, pausedUntil - Date.now())
+        };
+    }
+    
+    return { name, schedule, throttle, stats };
+}
+
+const rateLimiters = {};
+for (const [provider, config] of Object.entries(RATE_LIMITS)) {
+    rateLimiters[provider] = createRateLimiter(provider, config);
+}
+
+// fetch() through a provider's rate limiter
+// 429s are retried after Retry-After (or 1s, 2s...) - the last response is returned either way,
+// so callers keep handling !response.ok themselves
+async function limitedFetch(provider, url, options = {}, { priority = PRIORITY.NORMAL, timeoutMs = null, retries = 2 } = {}) {
+    const limiter = rateLimiters[provider];
+    
+    for (let attempt = 0; ; attempt++) {
+        const response = await limiter.schedule(async () => {
+            if (!timeoutMs) return fetch(url, options);
+            
+            // Timeout starts when the request is actually sent, not while queued. It stays armed after
+            // the headers arrive so a stalled body (response.json()) is aborted too
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), timeoutMs);
+            timeout.unref();
+            try {
+                return await fetch(url, { ...options, signal: controller.signal });
+            } catch (error) {
+                clearTimeout(timeout);
+                throw error;
+            }
+        }, priority);
+        
+        if (response.status !== 429 || attempt >= retries) {
+            return response;
         }
+        
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after')) ?? (attempt + 1) * 1000;
+        console.log(`⚠️ ${provider} 429, retry ${attempt + 1}/${retries} in ${(retryAfter / 1000).toFixed(1)}s...`);
+        limiter.throttle(retryAfter);
+    }
+}
+
+// Queue depth + throttle state per provider
+app.get('/api/metrics/rate-limits', (req, res) => {
+    const providers = {};
+    for (const [provider, limiter] of Object.entries(rateLimiters)) {
+        providers[provider] = limiter.stats();
+    }
+    
+    res.json({
+        success: true,
+        providers: providers,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ==========================================
+// HELIUS RPC
+// ==========================================
+
+const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
+const HELIUS_RPC_URL = `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`;
+const HELIUS_API_URL = `https://api.helius.xyz/v0`;
+
+// JSON-RPC call through the helius rate limiter
+// Returns the `result` field, throws on HTTP or RPC errors
+async function heliusRpc(method, params, priority = PRIORITY.NORMAL, timeoutMs = 10000) {
+    const response = await limitedFetch('helius', HELIUS_RPC_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: method,
+            method: method,
+            params: params
+        })
+    }, { priority, timeoutMs });
+    
+    if (!response.ok) {
+        throw new Error(`Helius RPC ${method} returned ${response.status}`);
+    }
+    
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(data.error.message || `Helius RPC ${method} failed`);
     }
-    if (cleaned > 0) {
-        console.log(`🧹 Cleaned ${cleaned} expired RugCheck cache entries`);
+    
+    return data.result;
+}
+
+// ==========================================
+// KNOWN ACCOUNTS REGISTRY
+// ==========================================
+
+// Program, pool and vault addresses that are not "real" holders, plus known trading bots
+// Built-ins are always present; rows in the known_accounts table add to / override them
+const KNOWN_ACCOUNT_CATEGORIES = ['lp', 'cex', 'burn', 'locker', 'team_vesting', 'program', 'bot'];
+
+// Categories removed from the top-20 holder total (bots are real holders - they only label early buyers)
+const HOLDER_EXCLUDED_CATEGORIES = new Set(['lp', 'cex', 'burn', 'locker', 'team_vesting', 'program']);
+
+const BUILT_IN_KNOWN_ACCOUNTS = {
+    'FhVo3mqL8PW5pH5U2CN4XE33DokiyZnUwuGpH2hmHLuM': { label: 'Meteora DBC Authority', category: 'lp' },
+    'AFMn7kGXvUJ3H69UkmFzqUR3VwzexbXqHswYaEPhzq8L': { label: 'Pump Fun AMM', category: 'lp' },
+    '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': { label: 'Raydium AMM', category: 'lp' },
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': { label: 'Raydium CPMM', category: 'lp' },
+    '1nc1nerator11111111111111111111111111111111': { label: 'Solana Incinerator', category: 'burn' },
+    'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m': { label: 'Streamflow', category: 'locker' }
+};
+
+// address -> { label, category, builtIn }
+let knownAccounts = new Map(
+    Object.entries(BUILT_IN_KNOWN_ACCOUNTS).map(([address, info]) => [address, { ...info, builtIn: true }])
+);
+
+// Reload the registry from Supabase (built-ins first, table rows override)
+async function loadKnownAccounts() {
+    const { data, error } = await supabase
+        .from('known_accounts')
+        .select('address, label, category');
+    
+    if (error) throw error;
+    
+    const registry = new Map(
+        Object.entries(BUILT_IN_KNOWN_ACCOUNTS).map(([address, info]) => [address, { ...info, builtIn: true }])
+    );
+    for (const row of data) {
+        registry.set(row.address, { label: row.label, category: row.category, builtIn: false });
     }
+    knownAccounts = registry;
+    
+    console.log(`📒 Loaded ${knownAccounts.size} known accounts (${data.length} from database)`);
+}
+
+// Load on startup, then refresh every 10 minutes (picks up edits made on other instances)
+loadKnownAccounts().catch(err => console.log(`⚠️ Known accounts load error: ${err.message}`));
+setInterval(() => {
+    loadKnownAccounts().catch(err => console.log(`⚠️ Known accounts load error: ${err.message}`));
 }, 10 * 60 * 1000);
 
+// Decide whether a top holder should be left out of the holder concentration total
+// Checks the registry first, then RugCheck's own knownAccounts labels/name heuristics
+// Returns { category, label } or null for a regular holder
+function classifyExcludedHolder(holder, rugCheckKnownAccounts) {
+    for (const address of [holder.address, holder.owner]) {
+        const known = address && knownAccounts.get(address);
+        if (known && HOLDER_EXCLUDED_CATEGORIES.has(known.category)) {
+            return { category: known.category, label: known.label };
+        }
+    }
+    
+    for (const address of [holder.address, holder.owner]) {
+        const info = address && rugCheckKnownAccounts?.[address];
+        if (!info) continue;
+        
+        const name = info.name?.toLowerCase() || '';
+        if (info.type === 'AMM' || info.type === 'LP' ||
+            name.includes('amm') || name.includes('liquidity') || name.includes('pool')) {
+            return { category: 'lp', label: info.name || 'RugCheck AMM' };
+        }
+        if (info.type === 'LOCKER' || name.includes('lock')) {
+            return { category: 'locker', label: info.name || 'RugCheck locker' };
+        }
+    }
+    
+    return null;
+}
+
+// ==========================================
+// RISK TAXONOMY
+// ==========================================
+
+// Stable Trakr risk codes for RugCheck's free-text risks - clients filter/style on `code`,
+// never on RugCheck's `name`. First match wins, so keep more specific patterns above generic ones.
+// Severity: critical > high > medium > low
+const RISK_CATEGORIES = ['authority', 'holders', 'liquidity', 'creator', 'metadata', 'token', 'market'];
+
+const RISK_TAXONOMY = [
+    { code: 'MINT_AUTHORITY_ENABLED', category: 'authority', severity: 'critical', patterns: ['mint authority'] },
+    { code: 'FREEZE_AUTHORITY_ENABLED', category: 'authority', severity: 'critical', patterns: ['freeze authority'] },
+    { code: 'PERMANENT_DELEGATE', category: 'authority', severity: 'critical', patterns: ['permanent delegate', 'permanent control'] },
+    { code: 'TRANSFER_HOOK', category: 'authority', severity: 'high', patterns: ['transfer hook'] },
+    { code: 'TRANSFER_FEE', category: 'token', severity: 'high', patterns: ['transfer fee'] },
+    { code: 'NON_TRANSFERABLE', category: 'token', severity: 'critical', patterns: ['non-transferable', 'non transferable'] },
+    { code: 'DEFAULT_ACCOUNT_FROZEN', category: 'token', severity: 'critical', patterns: ['default account state', 'frozen by default'] },
+    { code: 'CREATOR_RUG_HISTORY', category: 'creator', severity: 'critical', patterns: ['creator history', 'rugged tokens', 'history of rugging', 'previous rug'] },
+    { code: 'CREATOR_SOLD', category: 'creator', severity: 'medium', patterns: ['creator sold', 'creator has sold', 'dev sold'] },
+    { code: 'INSIDER_NETWORK', category: 'holders', severity: 'high', patterns: ['insider'] },
+    { code: 'SINGLE_HOLDER_HIGH', category: 'holders', severity: 'high', patterns: ['single holder'] },
+    { code: 'TOP_HOLDERS_HIGH', category: 'holders', severity: 'high', patterns: ['top 10 holders', 'top holders', 'high ownership', 'holder concentration'] },
+    { code: 'LOW_HOLDER_COUNT', category: 'holders', severity: 'medium', patterns: ['low amount of holders', 'few holders'] },
+    { code: 'LP_UNLOCKED', category: 'liquidity', severity: 'high', patterns: ['lp unlocked', 'lp not locked', 'unlocked lp'] },
+    { code: 'LOW_LP_PROVIDERS', category: 'liquidity', severity: 'medium', patterns: ['lp providers'] },
+    { code: 'LOW_LIQUIDITY', category: 'liquidity', severity: 'high', patterns: ['low liquidity', 'no liquidity'] },
+    { code: 'BONDING_CURVE_ACTIVE', category: 'market', severity: 'low', patterns: ['bonding curve'] },
+    { code: 'LAUNCHPAD_UPGRADEABLE', category: 'market', severity: 'low', patterns: ['contracts can be changed'] },
+    { code: 'COPYCAT_TOKEN', category: 'metadata', severity: 'high', patterns: ['copycat'] },
+    { code: 'METADATA_MUTABLE', category: 'metadata', severity: 'medium', patterns: ['mutable metadata', 'metadata mutable'] },
+    { code: 'METADATA_MISMATCH', category: 'metadata', severity: 'medium', patterns: ['symbol mismatch', 'name mismatch'] },
+    { code: 'METADATA_MISSING', category: 'metadata', severity: 'low', patterns: ['no social', 'missing metadata', 'no metadata'] }
+];
+
+// RugCheck `level` -> severity for risks we don't have a code for yet
+const RUGCHECK_LEVEL_SEVERITY = { danger: 'high', warn: 'medium', info: 'low' };
+
+// Log each unmapped risk name once per process so the taxonomy can be extended
+const unmappedRiskNames = new Set();
+
+// Map one RugCheck risk to { code, category, severity } - keeps RugCheck's own fields for display
+function classifyRugCheckRisk(risk) {
+    const text = `${risk.name || ''} ${risk.description || ''}`.toLowerCase();
+    const entry = RISK_TAXONOMY.find(e => e.patterns.some(p => text.includes(p)));
+    
+    if (!entry && risk.name && !unmappedRiskNames.has(risk.name)) {
+        unmappedRiskNames.add(risk.name);
+        console.log(`🏷️ Unmapped RugCheck risk: "${risk.name}" (${risk.level || 'no level'}) - ${risk.description || 'no description'}`);
+    }
+    
+    return {
+        code: entry?.code || 'UNKNOWN',
+        category: entry?.category || 'other',
+        severity: entry?.severity || RUGCHECK_LEVEL_SEVERITY[risk.level] || 'low',
+        name: risk.name || null,
+        description: risk.description || null,
+        value: risk.value || null,
+        score: risk.score ?? null,
+        level: risk.level || null
+    };
+}
+
+// Taxonomy for clients (codes, categories, severities)
+app.get('/api/risk-codes', (req, res) => {
+    res.json({
+        success: true,
+        categories: [...RISK_CATEGORIES, 'other'],
+        codes: [
+            ...RISK_TAXONOMY.map(({ code, category, severity }) => ({ code, category, severity })),
+            { code: 'UNKNOWN', category: 'other', severity: null }
+        ],
+        unmapped: [...unmappedRiskNames]
+    });
+});
+
+// ==========================================
+// RUGCHECK API FUNCTION
+// ==========================================
+
+// Cache for RugCheck data - stale entries are served for up to 30 minutes while refreshing
+const RUGCHECK_CACHE_TTL = 5 * 60 * 1000; // 5 minutes cache
+const rugCheckCache = createCache('rugcheck', { ttl: RUGCHECK_CACHE_TTL, staleTtl: 30 * 60 * 1000 });
+
 // Fetch RugCheck data for a token (holder %, creator %, score)
-async function fetchRugCheckData(contract, retryCount = 0, bypassCache = false) {
+// Calls go through the 'rugcheck' rate limiter - pass PRIORITY.USER for user-triggered refreshes
+// If RugCheck is down (timeout, 429 after retries, 5xx, error) falls back to on-chain holder analysis,
+// check `source` ('rugcheck' or 'onchain') to tell them apart. A 404 (token unknown to RugCheck) returns null
+async function fetchRugCheckData(contract, bypassCache = false, priority = PRIORITY.NORMAL) {
     try {
         // Check cache first (unless bypassing)
         if (!bypassCache) {
-            const cached = rugCheckCache.get(contract);
-            if (cached && (Date.now() - cached.timestamp < RUGCHECK_CACHE_TTL)) {
-                console.log(`📦 RugCheck cache hit for ${contract.slice(0, 8)}`);
+            const cached = await rugCheckCache.get(contract);
+            if (cached) {
+                if (cached.stale) {
+                    console.log(`♻️ RugCheck stale cache hit for ${contract.slice(0, 8)} - revalidating`);
+                    rugCheckCache.revalidate(contract, () => fetchRugCheckData(contract, true, PRIORITY.BACKGROUND));
+                } else {
+                    console.log(`📦 RugCheck cache hit for ${contract.slice(0, 8)}`);
+                }
                 return cached.data;
             }
         } else {
             console.log(`🔄 Bypassing cache for ${contract.slice(0, 8)}`);
         }
         
-        // Rate limiting - wait if needed
-        const now = Date.now();
-        const timeSinceLastCall = now - lastRugCheckCall;
-        if (timeSinceLastCall < RUGCHECK_DELAY) {
-            await sleep(RUGCHECK_DELAY - timeSinceLastCall);
-        }
-        lastRugCheckCall = Date.now();
-        
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 5000); // 5s timeout
-        
-        let response = await fetch(`https://api.rugcheck.xyz/v1/tokens/${contract}/report`, {
-            signal: controller.signal
+        // Rate limited + 429 retries handled by the rugcheck queue
+        const response = await limitedFetch('rugcheck', `https://api.rugcheck.xyz/v1/tokens/${contract}/report`, {}, {
+            priority: priority,
+            timeoutMs: 5000 // 5s timeout
         });
-        clearTimeout(timeout);
         
-        // Handle rate limiting (429) - retry with shorter backoff
         if (response.status === 429) {
-            if (retryCount < 2) {
-                const retryDelay = (retryCount + 1) * 1000; // 1s, 2s
-                console.log(`⚠️ RugCheck 429 for ${contract.slice(0, 8)}, retry ${retryCount + 1}/2 in ${retryDelay/1000}s...`);
-                await sleep(retryDelay);
-                lastRugCheckCall = Date.now(); // Reset rate limit timer
-                return fetchRugCheckData(contract, retryCount + 1, bypassCache);
-            } else {
-                console.log(`❌ RugCheck 429 for ${contract.slice(0, 8)} - max retries exceeded`);
-                return null;
-            }
+            console.log(`❌ RugCheck 429 for ${contract.slice(0, 8)} - max retries exceeded`);
+            return fetchOnChainHolderData(contract, priority);
         }
         
         if (!response.ok) {
             console.log(`⚠️ RugCheck ${response.status} for ${contract.slice(0, 8)}`);
-            return null;
+            // 4xx means RugCheck answered - it just has nothing for this token
+            return response.status >= 500 ? fetchOnChainHolderData(contract, priority) : null;
         }
         
         const data = await response.json();
         
-        // Check if creator has rugged before (look in risks array)
-        const creatorRugRisk = data.risks?.find(r => 
-            r.name?.toLowerCase().includes('creator history') || 
-            r.name?.toLowerCase().includes('rugged tokens') ||
-            r.description?.toLowerCase().includes('history of rugging') ||
-            r.name?.toLowerCase().includes('previous rug')
-        );
+        // Map RugCheck's free-text risks to Trakr risk codes
+        const risks = (data.risks || []).map(classifyRugCheckRisk);
+        
+        // Check if creator has rugged before
+        const creatorRugRisk = risks.find(r => r.code === 'CREATOR_RUG_HISTORY');
         
         // =====================================================
         // CREATOR HOLDINGS - Try multiple possible formats
@@ -244,14 +751,7 @@ async function fetchRugCheckData(contract, retryCount = 0, bypassCache = false)
         // TOP 20 HOLDERS - Match RugCheck (top 20 minus LPs)
         // =====================================================
         let top10Percent = null;
-        
-        // Known LP/AMM addresses (hardcoded fallback when knownAccounts doesn't label them)
-        const KNOWN_LP_ADDRESSES = new Set([
-            'FhVo3mqL8PW5pH5U2CN4XE33DokiyZnUwuGpH2hmHLuM', // Meteora DBC Authority
-            'AFMn7kGXvUJ3H69UkmFzqUR3VwzexbXqHswYaEPhzq8L', // Pump Fun AMM
-            '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM
-            'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CPMM
-        ]);
+        const excludedHolders = {}; // category -> { count, percent }
         
         if (data.topHolders && data.topHolders.length > 0) {
             let top20Total = 0;
@@ -262,27 +762,13 @@ async function fetchRugCheckData(contract, retryCount = 0, bypassCache = false)
                 // Get holder percentage (RugCheck returns percentages directly, e.g. 25.35 = 25.35%)
                 let holderPct = holder.pct || holder.percentage || holder.percent || holder.pctOwned || 0;
                 
-                // Check if this holder's address OR owner is an AMM/LP using knownAccounts
-                const addressInfo = data.knownAccounts?.[holder.address];
-                const ownerInfo = data.knownAccounts?.[holder.owner];
-                
-                // Check against hardcoded known LP addresses
-                const isKnownLP = KNOWN_LP_ADDRESSES.has(holder.address) || KNOWN_LP_ADDRESSES.has(holder.owner);
-                
-                const isLP = isKnownLP ||
-                    addressInfo?.type === 'AMM' || 
-                    addressInfo?.type === 'LP' ||
-                    addressInfo?.name?.toLowerCase().includes('amm') ||
-                    addressInfo?.name?.toLowerCase().includes('liquidity') ||
-                    addressInfo?.name?.toLowerCase().includes('pool') ||
-                    ownerInfo?.type === 'AMM' || 
-                    ownerInfo?.type === 'LP' ||
-                    ownerInfo?.name?.toLowerCase().includes('amm') ||
-                    ownerInfo?.name?.toLowerCase().includes('liquidity') ||
-                    ownerInfo?.name?.toLowerCase().includes('pool');
-                
-                if (isLP) {
-                    console.log(`   ↳ Skipping LP/AMM: ${holder.address?.slice(0, 8) || 'unknown'} (${holderPct.toFixed(2)}%) - ${addressInfo?.name || ownerInfo?.name || (isKnownLP ? 'Known LP' : 'unknown')}`);
+                // Skip LPs, CEXs, burn, lockers, vesting... (known accounts registry + RugCheck labels)
+                const excluded = classifyExcludedHolder(holder, data.knownAccounts);
+                if (excluded) {
+                    console.log(`   ↳ Skipping ${excluded.category}: ${holder.address?.slice(0, 8) || 'unknown'} (${holderPct.toFixed(2)}%) - ${excluded.label}`);
+                    const bucket = excludedHolders[excluded.category] || (excludedHolders[excluded.category] = { count: 0, percent: 0 });
+                    bucket.count++;
+                    bucket.percent = Math.round((bucket.percent + holderPct) * 100) / 100;
                     continue;
                 }
                 
@@ -298,7 +784,7 @@ async function fetchRugCheckData(contract, retryCount = 0, bypassCache = false)
             
             if (top20Total > 0) {
                 top10Percent = top20Total.toFixed(2) + '%';
-                console.log(`   ↳ Top ${holdersIncluded} holders (excl. LP): ${top10Percent}`);
+                console.log(`   ↳ Top ${holdersIncluded} holders (excl. LP/known accounts): ${top10Percent}`);
             }
         }
         
@@ -314,893 +800,4422 @@ async function fetchRugCheckData(contract, retryCount = 0, bypassCache = false)
         
         const result = {
             score: Math.round((data.score || 0) / 10),
+            scoreNormalised: data.score_normalised ?? null,
             topHolders: data.topHolders || null,
             top10Percent: top10Percent,
+            excludedHolders: excludedHolders,
             creator: data.creator || null,
             creatorBalance: data.creatorBalance || null,
             creatorPercent: creatorPercent,
             creatorHasRugged: !!creatorRugRisk,
             creatorRugRisk: creatorRugRisk || null,
-            risks: data.risks || [],
+            risks: risks,
             rugged: data.rugged || false,
-            markets: data.markets || []
+            markets: data.markets || [],
+            lockers: data.lockers || {},
+            source: 'rugcheck'
         };
         
         // Cache the result
-        rugCheckCache.set(contract, { data: result, timestamp: Date.now() });
+        rugCheckCache.set(contract, result);
+        
+        // Keep a time series of holder concentration (fire and forget)
+        recordHolderSnapshot(contract, result);
         
         return result;
     } catch (error) {
         console.log(`⚠️ RugCheck error for ${contract.slice(0, 8)}:`, error.message);
-        return null;
+        return fetchOnChainHolderData(contract, priority);
     }
 }
 
 // ==========================================
-// BUNDLE DETECTION (Helius API)
+// ON-CHAIN HOLDER ANALYSIS (RugCheck fallback)
 // ==========================================
 
-const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
-const HELIUS_RPC_URL = `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`;
-const HELIUS_API_URL = `https://api.helius.xyz/v0`;
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
 
-// Cache for bundle data (same TTL as RugCheck)
-const bundleCache = new Map();
-const BUNDLE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Short cache - only used while RugCheck is unavailable
+const onChainHolderCache = createCache('onchain-holders', { ttl: 2 * 60 * 1000 });
 
-// Clean up old bundle cache entries every 10 minutes
-setInterval(() => {
-    const now = Date.now();
-    let cleaned = 0;
-    for (const [key, value] of bundleCache.entries()) {
-        if (now - value.timestamp > BUNDLE_CACHE_TTL) {
-            bundleCache.delete(key);
-            cleaned++;
+// Find a token's creator without RugCheck: stale RugCheck data, our creator ledger, then DAS metadata creators
+async function resolveTokenCreator(contract, asset) {
+    const cached = await rugCheckCache.get(contract);
+    if (cached?.data?.creator) return cached.data.creator;
+    
+    const { data } = await supabase
+        .from('creator_tokens')
+        .select('creator_address')
+        .eq('contract', contract)
+        .limit(1);
+    if (data?.[0]?.creator_address) return data[0].creator_address;
+    
+    return asset?.creators?.[0]?.address || null;
+}
+
+const HOLDER_COUNT_PAGE_SIZE = 1000; // DAS getTokenAccounts max
+const HOLDER_COUNT_MAX_PAGES = 5;
+
+// Distinct owners with a non-zero balance, via DAS getTokenAccounts by mint (paged, capped)
+// Returns { holderCount, holderCountCapped } - capped means there are more holders than we counted
+async function countTokenHolders(contract, priority) {
+    const owners = new Set();
+    for (let page = 1; page <= HOLDER_COUNT_MAX_PAGES; page++) {
+        const result = await heliusRpc('getTokenAccounts', {
+            mint: contract,
+            page: page,
+            limit: HOLDER_COUNT_PAGE_SIZE,
+            options: { showZeroBalance: false }
+        }, priority);
+        const accounts = result?.token_accounts || [];
+        for (const account of accounts) {
+            if (account.owner && Number(account.amount) > 0) owners.add(account.owner);
+        }
+        if (accounts.length < HOLDER_COUNT_PAGE_SIZE) {
+            return { holderCount: owners.size, holderCountCapped: false };
         }
     }
-    if (cleaned > 0) {
-        console.log(`🧹 Cleaned ${cleaned} expired bundle cache entries`);
-    }
-}, 10 * 60 * 1000);
-
-// Pump.fun program ID
-const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+    return { holderCount: owners.size, holderCountCapped: true };
+}
 
-// Fetch bundle detection data for a token
-async function fetchBundleData(tokenMint) {
+// Compute top holders, creator balance and holder count straight from Solana RPC
+// Returns the same shape as fetchRugCheckData (with source: 'onchain') or null
+async function fetchOnChainHolderData(contract, priority = PRIORITY.NORMAL) {
+    if (!HELIUS_API_KEY) return null;
+    
     try {
-        if (!HELIUS_API_KEY) {
-            console.log('⚠️ HELIUS_API_KEY not set - skipping bundle detection');
-            return null;
+        const cached = await onChainHolderCache.get(contract);
+        if (cached) return cached.data;
+        
+        console.log(`⛓️ On-chain holder analysis for ${contract.slice(0, 8)} (RugCheck unavailable)...`);
+        
+        const [supply, largest, asset] = await Promise.all([
+            heliusRpc('getTokenSupply', [contract], priority),
+            heliusRpc('getTokenLargestAccounts', [contract], priority),
+            heliusRpc('getAsset', { id: contract }, priority).catch(() => null)
+        ]);
+        
+        const totalSupply = supply?.value?.uiAmount || 0;
+        const largestAccounts = (largest?.value || []).slice(0, 20);
+        
+        // Owner wallets of the largest token accounts
+        const ownerInfo = largestAccounts.length > 0
+            ? await heliusRpc('getMultipleAccounts', [largestAccounts.map(a => a.address), { encoding: 'jsonParsed' }], priority)
+            : { value: [] };
+        
+        const topHolders = largestAccounts.map((account, i) => ({
+            address: account.address,
+            owner: ownerInfo?.value?.[i]?.data?.parsed?.info?.owner || null,
+            amount: account.amount,
+            uiAmount: account.uiAmount || 0,
+            pct: totalSupply > 0 ? ((account.uiAmount || 0) / totalSupply) * 100 : 0
+        }));
+        
+        // Top 20 total excluding LPs / known accounts (same rules as the RugCheck path).
+        // There are no RugCheck labels here, so token accounts owned by a PDA (bonding curve,
+        // AMM / DBC vault authority, locker) count as program-held
+        let top20Total = 0;
+        const excludedHolders = {};
+        for (const holder of topHolders) {
+            const excluded = classifyExcludedHolder(holder, null) ||
+                (holder.owner && !isOnEd25519Curve(base58Decode(holder.owner))
+                    ? { category: 'program', label: 'Program-owned account (curve / pool vault)' }
+                    : null);
+            if (excluded) {
+                console.log(`   ↳ Skipping ${excluded.category}: ${holder.address.slice(0, 8)} (${holder.pct.toFixed(2)}%) - ${excluded.label}`);
+                const bucket = excludedHolders[excluded.category] || (excludedHolders[excluded.category] = { count: 0, percent: 0 });
+                bucket.count++;
+                bucket.percent = Math.round((bucket.percent + holder.pct) * 100) / 100;
+                continue;
+            }
+            top20Total += holder.pct;
         }
-
-        // Check cache first
-        const cached = bundleCache.get(tokenMint);
-        if (cached && (Date.now() - cached.timestamp < BUNDLE_CACHE_TTL)) {
-            console.log(`📦 Bundle cache hit for ${tokenMint.slice(0, 8)}`);
-            return cached.data;
+        top20Total = Math.min(top20Total, 100);
+        
+        // Creator balance
+        const creator = await resolveTokenCreator(contract, asset);
+        let creatorBalance = null;
+        let creatorPercent = null;
+        if (creator) {
+            const creatorAccounts = await heliusRpc('getTokenAccountsByOwner', [creator, { mint: contract }, { encoding: 'jsonParsed' }], priority);
+            creatorBalance = (creatorAccounts?.value || [])
+                .reduce((sum, a) => sum + (a.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0), 0);
+            if (totalSupply > 0) {
+                creatorPercent = ((creatorBalance / totalSupply) * 100).toFixed(2) + '%';
+            }
         }
-
-        console.log(`🔍 Bundle check for ${tokenMint.slice(0, 8)}...`);
-
-        // Step 1: Get token supply using Helius RPC
-        let totalSupply = 0;
+        
+        // Holder count (bounded - see countTokenHolders)
+        let holderCount = null;
+        let holderCountCapped = false;
         try {
-            const supplyResponse = await fetch(HELIUS_RPC_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    id: 1,
-                    method: 'getTokenSupply',
-                    params: [tokenMint]
-                })
-            });
-            const supplyData = await supplyResponse.json();
-            if (supplyData.result?.value?.uiAmount) {
-                totalSupply = supplyData.result.value.uiAmount;
-                console.log(`   Token supply: ${totalSupply.toLocaleString()}`);
-            }
+            ({ holderCount, holderCountCapped } = await countTokenHolders(contract, priority));
         } catch (err) {
-            console.log(`   Could not fetch token supply: ${err.message}`);
+            console.log(`   Could not count holders: ${err.message}`);
         }
+        
+        // Creator history from our own ledger
+        const reputation = creator ? (await fetchCreatorReputations([creator])).get(creator) : null;
+        
+        const result = {
+            score: null,
+            scoreNormalised: null,
+            topHolders: topHolders,
+            top10Percent: top20Total > 0 ? top20Total.toFixed(2) + '%' : null,
+            excludedHolders: excludedHolders,
+            creator: creator,
+            creatorBalance: creatorBalance,
+            creatorPercent: creatorPercent,
+            creatorHasRugged: !!reputation?.flagged,
+            creatorRugRisk: null,
+            risks: [],
+            rugged: false,
+            markets: [],
+            holderCount: holderCount,
+            holderCountCapped: holderCountCapped,
+            source: 'onchain'
+        };
+        
+        console.log(`✅ On-chain holders for ${contract.slice(0, 8)}: creator=${creatorPercent}, top20=${result.top10Percent}, holders=${holderCount}${holderCountCapped ? '+' : ''}`);
+        
+        onChainHolderCache.set(contract, result);
+        recordHolderSnapshot(contract, result);
+        
+        return result;
+    } catch (error) {
+        console.log(`⚠️ On-chain holder analysis error for ${contract.slice(0, 8)}: ${error.message}`);
+        return null;
+    }
+}
 
-        // Step 2: Get the earliest transactions on this token using Helius parsed transaction API
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
-
-        const response = await fetch(
-            `${HELIUS_API_URL}/addresses/${tokenMint}/transactions?api-key=${HELIUS_API_KEY}&limit=50&type=SWAP`,
-            { signal: controller.signal }
-        );
-        clearTimeout(timeout);
-
-        if (!response.ok) {
-            console.log(`⚠️ Helius API ${response.status} for ${tokenMint.slice(0, 8)}`);
-            return null;
-        }
+// ==========================================
+// MINT SECURITY CHECKS
+// ==========================================
 
-        const transactions = await response.json();
+// Authorities can be revoked (or not) at any time after launch, so keep this short
+const mintSecurityCache = createCache('mint-security', { ttl: 10 * 60 * 1000, staleTtl: 30 * 60 * 1000 });
 
-        if (!transactions || transactions.length === 0) {
-            console.log(`   No transactions found for ${tokenMint.slice(0, 8)}`);
-            return { isBundled: false, bundledWallets: 0, riskLevel: 'NONE', reason: 'No early transactions found' };
+// Check the mint account itself: mint/freeze authority, metadata mutability and Token-2022 extensions
+async function fetchMintSecurity(contract, bypassCache = false, priority = PRIORITY.NORMAL) {
+    if (!HELIUS_API_KEY) return null;
+    
+    try {
+        const cached = bypassCache ? null : await mintSecurityCache.get(contract);
+        if (cached) {
+            if (cached.stale) {
+                mintSecurityCache.revalidate(contract, () => fetchMintSecurity(contract, true, PRIORITY.BACKGROUND));
+            }
+            return cached.data;
+        }
+        
+        const [mintAccount, asset] = await Promise.all([
+            heliusRpc('getAccountInfo', [contract, { encoding: 'jsonParsed' }], priority),
+            heliusRpc('getAsset', { id: contract }, priority).catch(() => null)
+        ]);
+        
+        const info = mintAccount?.value?.data?.parsed?.info;
+        if (!info) {
+            console.log(`⚠️ No mint account found for ${contract.slice(0, 8)}`);
+            return null;
+        }
+        
+        // Token-2022 extensions (jsonParsed: [{ extension, state }])
+        const extensions = {};
+        for (const ext of info.extensions || []) {
+            extensions[ext.extension] = ext.state || {};
+        }
+        
+        const transferFee = extensions.transferFeeConfig;
+        const transferFeeBps = transferFee
+            ? Math.max(transferFee.newerTransferFee?.transferFeeBasisPoints || 0, transferFee.olderTransferFee?.transferFeeBasisPoints || 0)
+            : 0;
+        
+        // Metadata mutability: Metaplex metadata via DAS, or the Token-2022 metadata extension's update authority
+        let metadataMutable = null;
+        if (typeof asset?.mutable === 'boolean') {
+            metadataMutable = asset.mutable;
+        } else if (extensions.tokenMetadata) {
+            metadataMutable = !!extensions.tokenMetadata.updateAuthority;
         }
+        
+        const result = {
+            isToken2022: mintAccount.value.owner === TOKEN_2022_PROGRAM,
+            mintAuthorityRevoked: !info.mintAuthority,
+            freezeAuthorityRevoked: !info.freezeAuthority,
+            mintAuthority: info.mintAuthority || null,
+            freezeAuthority: info.freezeAuthority || null,
+            metadataMutable: metadataMutable,
+            // Token-2022 extensions that can hurt holders
+            hasTransferFee: transferFeeBps > 0,
+            transferFeeBps: transferFeeBps,
+            hasTransferHook: !!extensions.transferHook?.programId,
+            hasPermanentDelegate: !!extensions.permanentDelegate?.delegate,
+            defaultFrozen: extensions.defaultAccountState?.accountState === 'frozen',
+            nonTransferable: 'nonTransferable' in extensions,
+            hasMintCloseAuthority: !!extensions.mintCloseAuthority?.closeAuthority,
+            extensions: Object.keys(extensions)
+        };
+        
+        console.log(`🔐 Mint check ${contract.slice(0, 8)}: mint ${result.mintAuthorityRevoked ? 'revoked' : 'ACTIVE'}, freeze ${result.freezeAuthorityRevoked ? 'revoked' : 'ACTIVE'}${result.isToken2022 ? `, Token-2022 [${result.extensions.join(', ')}]` : ''}`);
+        
+        mintSecurityCache.set(contract, result);
+        return result;
+        
+    } catch (error) {
+        console.log(`⚠️ Mint check error for ${contract.slice(0, 8)}: ${error.message}`);
+        return null;
+    }
+}
 
-        // Step 3: Sort by slot (ascending) to get earliest transactions first
-        transactions.sort((a, b) => (a.slot || 0) - (b.slot || 0));
+// ==========================================
+// LP STATUS (BURN / LOCK VERIFICATION)
+// ==========================================
 
-        // Step 4: Extract early buyers - focus on first transactions (token creation phase)
-        const earlyBuyers = [];
-        const firstSlot = transactions[0]?.slot || 0;
-        
-        // Look at transactions within the first 10 slots (~4 seconds on Solana)
-        const SLOT_WINDOW = 10;
+// LP holders rarely change after migration, but a lock can expire - 10 minutes is plenty
+const lpStatusCache = createCache('lp-status', { ttl: 10 * 60 * 1000, staleTtl: 30 * 60 * 1000 });
 
-        for (const tx of transactions) {
-            if (!tx.slot) continue;
-            
-            // Only look at early transactions (within first 10 slots of token's first tx)
-            if (tx.slot > firstSlot + SLOT_WINDOW) break;
+// Share of LP that must be burned/locked for a pool to count as safe
+const LP_SAFE_PERCENT = 95;
+const LP_PARTIAL_PERCENT = 50;
 
-            // Get the fee payer (buyer wallet)
-            const buyer = tx.feePayer;
-            if (!buyer) continue;
+// Pick the deepest pool from RugCheck's markets array
+function pickPrimaryMarket(markets) {
+    if (!markets?.length) return null;
+    const depth = (m) => (m.lp?.baseUSD || 0) + (m.lp?.quoteUSD || 0);
+    return [...markets].sort((a, b) => depth(b) - depth(a))[0];
+}
 
-            // Find the token transfer for this mint
-            const tokenTransfer = tx.tokenTransfers?.find(t => t.mint === tokenMint);
-            
-            // Check if this is a buy (token transfer TO the buyer)
-            const isBuy = (tokenTransfer && tokenTransfer.toUserAccount === buyer) || 
-                          tx.description?.toLowerCase().includes('swap') || 
-                          tx.type === 'SWAP';
+function lpStatusLabel(burnedPercent, safePercent) {
+    if (burnedPercent >= LP_SAFE_PERCENT) return 'BURNED';
+    if (safePercent >= LP_SAFE_PERCENT) return 'LOCKED';
+    if (safePercent >= LP_PARTIAL_PERCENT) return 'PARTIAL';
+    return 'UNLOCKED';
+}
 
-            if (isBuy) {
-                // Get token amount - try multiple possible fields
-                let tokenAmount = 0;
-                if (tokenTransfer) {
-                    tokenAmount = tokenTransfer.tokenAmount || 
-                                  tokenTransfer.amount || 
-                                  (tokenTransfer.rawTokenAmount?.tokenAmount ? 
-                                   parseFloat(tokenTransfer.rawTokenAmount.tokenAmount) / Math.pow(10, tokenTransfer.rawTokenAmount.decimals || 6) : 0);
-                }
-                
-                earlyBuyers.push({
-                    wallet: buyer,
-                    slot: tx.slot,
-                    signature: tx.signature,
-                    slotOffset: tx.slot - firstSlot,
-                    tokenAmount: tokenAmount
-                });
+// Work out how much of a graduated token's LP is burned, locked (and until when) or held by wallets
+// Uses RugCheck's markets/lockers and, when Helius is configured, the LP mint's largest holders
+async function fetchLpStatus(contract, rugCheck, priority = PRIORITY.NORMAL, bypassCache = false) {
+    const market = pickPrimaryMarket(rugCheck?.markets);
+    if (!market) return null;
+    
+    try {
+        const cached = bypassCache ? null : await lpStatusCache.get(contract);
+        if (cached) {
+            if (cached.stale) {
+                console.log(`♻️ LP status stale cache hit for ${contract.slice(0, 8)} - revalidating`);
+                lpStatusCache.revalidate(contract, () => fetchLpStatus(contract, rugCheck, PRIORITY.BACKGROUND, true));
             }
+            return cached.data;
         }
-
-        // Step 5: Group buyers by slot
-        const slotGroups = {};
-        for (const buyer of earlyBuyers) {
-            if (!slotGroups[buyer.slot]) {
-                slotGroups[buyer.slot] = [];
-            }
-            slotGroups[buyer.slot].push(buyer);
+        
+        const lp = market.lp || {};
+        const lpMint = market.mintLP && market.mintLP !== '11111111111111111111111111111111' ? market.mintLP : null;
+        // RugCheck's LP supplies are in its own units - only their ratio is compared with RPC amounts
+        const maxSupply = lp.lpMaxSupply || lp.lpTotalSupply || 0;
+        const currentSupply = lp.lpCurrentSupply ?? null;
+        const burnedFraction = maxSupply > 0 && currentSupply !== null && currentSupply < maxSupply
+            ? (maxSupply - currentSupply) / maxSupply
+            : 0;
+        
+        let burnedPercent = 0;
+        let lockedPercent = 0;
+        let programHeldPercent = 0;
+        let eoaPercent = 0;
+        let unlockAt = null;
+        let source = 'rugcheck';
+        
+        // RugCheck lockers keyed by their LP token account
+        const lockersByTokenAccount = new Map();
+        for (const locker of Object.values(rugCheck.lockers || {})) {
+            if (locker?.tokenAccount) lockersByTokenAccount.set(locker.tokenAccount, locker);
         }
-
-        // Step 6: Detect bundles and calculate amounts
-        let maxWalletsInSlot = 0;
-        let bundleSlot = null;
-        let bundleTokenAmount = 0; // Total tokens bought by bundled wallets (same slot)
-        const uniqueEarlyWallets = new Set(earlyBuyers.map(b => b.wallet));
-
-        for (const [slot, buyers] of Object.entries(slotGroups)) {
-            const uniqueWallets = new Set(buyers.map(b => b.wallet));
-            if (uniqueWallets.size > maxWalletsInSlot) {
-                maxWalletsInSlot = uniqueWallets.size;
-                bundleSlot = slot;
-                // Sum token amounts for this bundle slot
-                bundleTokenAmount = buyers.reduce((sum, b) => sum + (b.tokenAmount || 0), 0);
+        
+        if (HELIUS_API_KEY && lpMint) {
+            const [supply, largest] = await Promise.all([
+                heliusRpc('getTokenSupply', [lpMint], priority),
+                heliusRpc('getTokenLargestAccounts', [lpMint], priority)
+            ]);
+            const currentUiSupply = supply?.value?.uiAmount || 0;
+            const holders = largest?.value || [];
+            
+            const ownerInfo = holders.length > 0
+                ? await heliusRpc('getMultipleAccounts', [holders.map(h => h.address), { encoding: 'jsonParsed' }], priority)
+                : { value: [] };
+            
+            // Percentages are of the original LP supply (in the LP mint's UI units), so supply burned
+            // via the token program counts too
+            const baseSupply = burnedFraction < 1 ? currentUiSupply / (1 - burnedFraction) : 0;
+            if (baseSupply > 0) {
+                burnedPercent = burnedFraction * 100;
+                
+                holders.forEach((holder, i) => {
+                    const pct = ((holder.uiAmount || 0) / baseSupply) * 100;
+                    const owner = ownerInfo?.value?.[i]?.data?.parsed?.info?.owner || null;
+                    const locker = lockersByTokenAccount.get(holder.address);
+                    const known = knownAccounts.get(owner) || knownAccounts.get(holder.address);
+                    
+                    if (locker || known?.category === 'locker') {
+                        lockedPercent += pct;
+                        const lockerUnlock = locker?.unlockDate ? locker.unlockDate * 1000 : null;
+                        if (lockerUnlock && (!unlockAt || lockerUnlock < unlockAt)) unlockAt = lockerUnlock;
+                    } else if (known?.category === 'burn') {
+                        burnedPercent += pct;
+                    } else if (known?.category === 'lp' || known?.category === 'program') {
+                        programHeldPercent += pct;
+                    } else {
+                        eoaPercent += pct;
+                    }
+                });
+                source = 'onchain';
             }
         }
-
-        // Calculate total early buyer token amount
-        const totalEarlyTokenAmount = earlyBuyers.reduce((sum, b) => sum + (b.tokenAmount || 0), 0);
-        const walletsInEarlySlots = uniqueEarlyWallets.size;
-
-        // Step 7: Calculate percentages
-        let bundledPercent = null;
-        let earlyBuyersPercent = null;
         
-        if (totalSupply > 0) {
-            if (bundleTokenAmount > 0) {
-                bundledPercent = ((bundleTokenAmount / totalSupply) * 100).toFixed(1) + '%';
-            }
-            if (totalEarlyTokenAmount > 0) {
-                earlyBuyersPercent = ((totalEarlyTokenAmount / totalSupply) * 100).toFixed(1) + '%';
+        // No RPC (or no LP mint, e.g. DLMM pools) - use RugCheck's own locked percentage
+        if (source === 'rugcheck') {
+            burnedPercent = burnedFraction * 100;
+            const lockedOrBurned = lp.lpLockedPct ?? null;
+            if (lockedOrBurned === null) return null;
+            lockedPercent = Math.max(0, lockedOrBurned - burnedPercent);
+            eoaPercent = Math.max(0, 100 - lockedOrBurned);
+            for (const locker of lockersByTokenAccount.values()) {
+                const lockerUnlock = locker.unlockDate ? locker.unlockDate * 1000 : null;
+                if (lockerUnlock && (!unlockAt || lockerUnlock < unlockAt)) unlockAt = lockerUnlock;
             }
         }
-
-        // Step 8: Determine risk level based on PERCENTAGE of supply owned
-        let riskLevel = 'NONE';
-        let isBundled = false;
         
-        // Parse the percentage for comparison
-        const bundlePct = bundledPercent ? parseFloat(bundledPercent) : 0;
-        const earlyPct = earlyBuyersPercent ? parseFloat(earlyBuyersPercent) : 0;
-
-        // Risk based on how much supply the bundle/early buyers control
-        if (bundlePct >= 30 || earlyPct >= 50) {
-            riskLevel = 'CRITICAL';
-            isBundled = true;
-        } else if (bundlePct >= 20 || earlyPct >= 40) {
-            riskLevel = 'HIGH';
-            isBundled = true;
-        } else if (bundlePct >= 10 || earlyPct >= 25) {
-            riskLevel = 'MEDIUM';
-            isBundled = true;
-        } else if (bundlePct >= 5 || maxWalletsInSlot >= 3) {
-            riskLevel = 'LOW';
-            isBundled = true;
-        }
-        // If we couldn't get percentages, fall back to wallet count
-        else if (totalSupply === 0 && maxWalletsInSlot >= 5) {
-            riskLevel = 'HIGH';
-            isBundled = true;
-        }
-
+        const round = (n) => Math.round(Math.min(n, 100) * 100) / 100;
         const result = {
-            isBundled: isBundled,
-            bundledWallets: maxWalletsInSlot,
-            bundledPercent: bundledPercent,              // NEW: e.g. "34.2%"
-            totalEarlyBuyers: walletsInEarlySlots,
-            earlyBuyersPercent: earlyBuyersPercent,      // NEW: e.g. "52.1%"
-            bundleSlot: bundleSlot,
-            slotsAnalyzed: Object.keys(slotGroups).length,
-            transactionsAnalyzed: earlyBuyers.length,
-            riskLevel: riskLevel,
-            // Human-readable summary
-            summary: isBundled 
-                ? `${maxWalletsInSlot} wallets${bundledPercent ? ` (${bundledPercent})` : ''} bought in same block`
-                : `Organic distribution: ${walletsInEarlySlots} buyers across ${Object.keys(slotGroups).length} blocks`
+            market: market.marketType || null,
+            pool: market.pubkey || null,
+            lpMint: lpMint,
+            burnedPercent: round(burnedPercent),
+            lockedPercent: round(lockedPercent),
+            programHeldPercent: round(programHeldPercent),
+            eoaPercent: round(eoaPercent),
+            unlockAt: unlockAt ? new Date(unlockAt).toISOString() : null,
+            status: lpStatusLabel(burnedPercent, burnedPercent + lockedPercent + programHeldPercent),
+            source: source
         };
-
-        console.log(`✅ Bundle check ${tokenMint.slice(0, 8)}: ${result.riskLevel} risk (${maxWalletsInSlot} same-slot${bundledPercent ? ` = ${bundledPercent}` : ''}, ${walletsInEarlySlots} early${earlyBuyersPercent ? ` = ${earlyBuyersPercent}` : ''})`);
-
-        // Cache the result
-        bundleCache.set(tokenMint, { data: result, timestamp: Date.now() });
-
+        
+        console.log(`💧 LP ${contract.slice(0, 8)}: ${result.status} (burned ${result.burnedPercent}%, locked ${result.lockedPercent}%, EOA ${result.eoaPercent}%)`);
+        
+        lpStatusCache.set(contract, result);
         return result;
-
+        
     } catch (error) {
-        if (error.name === 'AbortError') {
-            console.log(`⚠️ Bundle check timeout for ${tokenMint.slice(0, 8)}`);
-        } else {
-            console.log(`⚠️ Bundle check error for ${tokenMint.slice(0, 8)}:`, error.message);
-        }
+        console.log(`⚠️ LP status error for ${contract.slice(0, 8)}: ${error.message}`);
         return null;
     }
 }
 
 // ==========================================
-// BUNDLE DETECTION DEBUG ENDPOINT
+// HOLDER CONCENTRATION HISTORY
 // ==========================================
 
-app.get('/api/debug/bundle/:contract', async (req, res) => {
+// Sharp-change thresholds (percentage points within the window)
+const HOLDER_ALERT_WINDOW = 60 * 60 * 1000; // 1 hour
+const TOP_HOLDERS_ALERT_POINTS = 10;
+const CREATOR_ALERT_POINTS = 5;
+
+// Save a time-stamped holder snapshot for every fresh RugCheck fetch
+async function recordHolderSnapshot(contract, rugCheck) {
+    const topHoldersPercent = parsePercent(rugCheck.top10Percent);
+    const creatorPercent = parsePercent(rugCheck.creatorPercent);
+    if (topHoldersPercent === null && creatorPercent === null) return;
+    
+    const { error } = await supabase
+        .from('holder_snapshots')
+        .insert({
+            contract: contract,
+            top_holders_percent: topHoldersPercent,
+            creator_percent: creatorPercent,
+            rugcheck_score: rugCheck.score,
+            source: rugCheck.source || 'rugcheck',
+            captured_at: new Date().toISOString()
+        });
+    
+    if (error) {
+        console.log(`⚠️ Holder snapshot error for ${contract.slice(0, 8)}: ${error.message}`);
+    }
+}
+
+// Flag sharp changes: compare each snapshot with the earlier snapshots inside the alert window.
+// Once a jump is reported, later snapshots only compare against snapshots from the jump onwards,
+// so one jump is one alert rather than one per snapshot that follows it.
+function detectHolderAlerts(snapshots) {
+    const alerts = [];
+    const metrics = [
+        { key: 'topHoldersPercent', type: 'TOP_HOLDERS', label: 'Top 20 holder share', threshold: TOP_HOLDERS_ALERT_POINTS },
+        { key: 'creatorPercent', type: 'CREATOR', label: 'Creator share', threshold: CREATOR_ALERT_POINTS }
+    ];
+    // metric key -> index of the snapshot that ended the last reported jump
+    const reportedAt = {};
+    
+    for (let j = 1; j < snapshots.length; j++) {
+        const current = snapshots[j];
+        const currentTime = new Date(current.capturedAt).getTime();
+        
+        for (const metric of metrics) {
+            if (current[metric.key] === null) continue;
+            
+            // Biggest move against any snapshot within the window
+            let biggest = null;
+            for (let i = j - 1; i >= (reportedAt[metric.key] || 0); i--) {
+                const previous = snapshots[i];
+                if (currentTime - new Date(previous.capturedAt).getTime() > HOLDER_ALERT_WINDOW) break;
+                if (previous[metric.key] === null) continue;
+                
+                const change = current[metric.key] - previous[metric.key];
+                if (!biggest || Math.abs(change) > Math.abs(biggest.change)) {
+                    biggest = { previous, change };
+                }
+            }
+            
+            if (biggest && Math.abs(biggest.change) > metric.threshold) {
+                reportedAt[metric.key] = j;
+                const direction = biggest.change > 0 ? 'RISING' : 'FALLING';
+                alerts.push({
+                    type: `${metric.type}_${direction}`,
+                    from: biggest.previous[metric.key],
+                    to: current[metric.key],
+                    change: Math.round(biggest.change * 100) / 100,
+                    fromAt: biggest.previous.capturedAt,
+                    toAt: current.capturedAt,
+                    message: `${metric.label} went from ${biggest.previous[metric.key].toFixed(1)}% to ${current[metric.key].toFixed(1)}% in ${Math.round((currentTime - new Date(biggest.previous.capturedAt).getTime()) / 60000)}m`
+                });
+            }
+        }
+    }
+    
+    return alerts;
+}
+
+const HOLDER_HISTORY_MAX_ROWS = 2000;
+
+// Holder concentration time series for a token
+// Usage: GET /api/tokens/:contract/holder-history?hours=24
+app.get('/api/tokens/:contract/holder-history', async (req, res) => {
     try {
         const { contract } = req.params;
+        const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
         
-        if (!contract) {
-            return res.status(400).json({ error: 'Contract address required' });
+        if (!contract || contract.length < 32) {
+            return res.status(400).json({ success: false, error: 'Invalid contract address' });
         }
         
-        console.log(`🔍 Debug: Fetching bundle data for ${contract}`);
+        const { data, error } = await supabase
+            .from('holder_snapshots')
+            .select('top_holders_percent, creator_percent, rugcheck_score, source, captured_at')
+            .eq('contract', contract)
+            .gte('captured_at', new Date(Date.now() - hours * 60 * 60 * 1000).toISOString())
+            .order('captured_at', { ascending: false })
+            .limit(HOLDER_HISTORY_MAX_ROWS);
+        
+        if (error) throw error;
+        
+        // Newest rows win when the window holds more than the row cap - returned oldest first
+        const snapshots = data.reverse().map(row => ({
+            capturedAt: row.captured_at,
+            topHoldersPercent: row.top_holders_percent === null ? null : Number(row.top_holders_percent),
+            creatorPercent: row.creator_percent === null ? null : Number(row.creator_percent),
+            rugCheckScore: row.rugcheck_score,
+            source: row.source
+        }));
         
-        const bundleData = await fetchBundleData(contract);
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+        const change = (key) => (first && last && first[key] !== null && last[key] !== null)
+            ? Math.round((last[key] - first[key]) * 100) / 100
+            : null;
         
         res.json({
             success: true,
             contract: contract,
-            bundle: bundleData
+            hours: hours,
+            count: snapshots.length,
+            truncated: data.length === HOLDER_HISTORY_MAX_ROWS,
+            snapshots: snapshots,
+            trend: {
+                topHoldersChange: change('topHoldersPercent'),
+                creatorChange: change('creatorPercent')
+            },
+            alerts: detectHolderAlerts(snapshots)
         });
         
     } catch (error) {
-        console.error('Debug bundle error:', error);
-        res.status(500).json({
-            error: error.message,
-            contract: req.params.contract
-        });
+        console.error('❌ Holder history error:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Live Launches - Get graduated Pump.fun tokens (using Moralis API)
-// Track last check time to only show NEW graduations going forward
-// FIX: Start by looking back 1 hour (3600000ms) instead of starting from "now"
-// Graduation scanner - fixed 2-minute window, same for everyone
-// Frontend handles per-user "first load" logic and deduplication
-
 // ==========================================
-// BAGS.FM DBC LAUNCH TRACKING (Helper Functions)
+// CREATOR REPUTATION LEDGER
 // ==========================================
 
-// Meteora DBC Program ID (where Bags.fm tokens launch)
-const METEORA_DBC_PROGRAM = 'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN';
+// Last known ledger state per token, so repeated polls don't rewrite unchanged rows
+const creatorLedgerState = new Map(); // contract -> { exists, peakMarketCap, rugged }
 
-// Track last check time for Bags launches
-let lastBagsCheck = Date.now() - (60 * 60 * 1000); // Look back 1 hour on startup
+// Reputation summaries per creator address
+const creatorReputationCache = createCache('creator-reputation', { ttl: 5 * 60 * 1000 });
 
-// Cache for Bags token metadata (from DexScreener)
-const bagsMetadataCache = new Map();
-const BAGS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Only rewrite the peak market cap once it has grown by 5%
+const PEAK_MARKET_CAP_STEP = 1.05;
 
-// Check if a token address is a Bags.fm token (ends in BAGS)
-function isBagsToken(address) {
-    return address && address.toUpperCase().endsWith('BAGS');
+// Record a launch in the creator ledger (creator, token, peak market cap, rugged + time to rug)
+// Takes a formatted launch object: { contract, creatorAddress, symbol, source, graduatedAt | createdAt, marketCap, isRugged }
+// updateOnly: only touch existing rows - callers that don't know the launch time mustn't create them
+async function recordCreatorLaunch(launch, { updateOnly = false } = {}) {
+    const creator = launch.creatorAddress;
+    if (!creator || !launch.contract) return;
+    
+    try {
+        let state = creatorLedgerState.get(launch.contract);
+        if (!state) {
+            const { data, error } = await supabase
+                .from('creator_tokens')
+                .select('peak_market_cap, rugged')
+                .eq('creator_address', creator)
+                .eq('contract', launch.contract)
+                .maybeSingle();
+            
+            if (error) throw error;
+            state = { exists: !!data, peakMarketCap: Number(data?.peak_market_cap) || 0, rugged: !!data?.rugged };
+        }
+        
+        const marketCap = Number(launch.marketCap) || 0;
+        const isNew = !state.exists;
+        if (isNew && updateOnly) {
+            creatorLedgerState.set(launch.contract, state);
+            return;
+        }
+        const peakRaised = marketCap > state.peakMarketCap * PEAK_MARKET_CAP_STEP;
+        const newlyRugged = !!launch.isRugged && !state.rugged;
+        
+        if (isNew || peakRaised || newlyRugged) {
+            const now = new Date().toISOString();
+            
+            // Only send the columns that changed so the upsert leaves the rest alone
+            const row = { creator_address: creator, contract: launch.contract, updated_at: now };
+            if (isNew) {
+                row.symbol = launch.symbol || null;
+                row.source = launch.source || null;
+                const launchedAt = launch.graduatedAt || launch.createdAt;
+                row.launched_at = launchedAt ? new Date(launchedAt).toISOString() : now;
+            }
+            if (peakRaised) row.peak_market_cap = marketCap;
+            if (newlyRugged) {
+                row.rugged = true;
+                row.rugged_at = now;
+                console.log(`💀 Creator ledger: ${launch.contract.slice(0, 8)} by ${creator.slice(0, 8)} marked rugged`);
+            }
+            
+            const { error } = await supabase
+                .from('creator_tokens')
+                .upsert(row, { onConflict: 'creator_address,contract' });
+            
+            if (error) throw error;
+            
+            creatorReputationCache.delete(creator);
+            state = {
+                exists: true,
+                peakMarketCap: peakRaised ? marketCap : state.peakMarketCap,
+                rugged: state.rugged || newlyRugged
+            };
+        }
+        
+        // Prevent memory bloat
+        if (creatorLedgerState.size > 5000) {
+            creatorLedgerState.clear();
+        }
+        creatorLedgerState.set(launch.contract, state);
+        
+    } catch (error) {
+        console.log(`⚠️ Creator ledger error for ${launch.contract.slice(0, 8)}: ${error.message}`);
+    }
 }
 
-// Check if a token address is a Printr token (ends in brrr)
-function isPrintrToken(address) {
-    return address && address.toLowerCase().endsWith('brrr');
+// Build a reputation summary from a creator's ledger rows
+function summarizeCreatorTokens(rows) {
+    const rugged = rows.filter(r => r.rugged);
+    const rugTimes = rugged
+        .filter(r => r.launched_at && r.rugged_at)
+        .map(r => (new Date(r.rugged_at).getTime() - new Date(r.launched_at).getTime()) / 60000);
+    const launchTimes = rows.filter(r => r.launched_at).map(r => new Date(r.launched_at).getTime());
+    
+    return {
+        tokensLaunched: rows.length,
+        ruggedCount: rugged.length,
+        rugRate: rows.length > 0 ? ((rugged.length / rows.length) * 100).toFixed(0) + '%' : '0%',
+        avgTimeToRugMinutes: rugTimes.length > 0 ? Math.round(rugTimes.reduce((a, b) => a + b, 0) / rugTimes.length) : null,
+        bestPeakMarketCap: rows.reduce((max, r) => Math.max(max, Number(r.peak_market_cap) || 0), 0),
+        lastLaunchAt: launchTimes.length > 0 ? new Date(Math.max(...launchTimes)).toISOString() : null,
+        flagged: rugged.length > 0
+    };
 }
 
-// Check if a token address is an Easy token (ends in EASY)
-function isEasyToken(address) {
-    return address && address.toUpperCase().endsWith('EASY');
+// Reputation summaries for many creators at once (one query for all cache misses)
+async function fetchCreatorReputations(addresses) {
+    const reputations = new Map();
+    const missing = [];
+    
+    for (const address of new Set(addresses.filter(Boolean))) {
+        const cached = await creatorReputationCache.get(address);
+        if (cached) reputations.set(address, cached.data);
+        else missing.push(address);
+    }
+    
+    if (missing.length === 0) return reputations;
+    
+    try {
+        const { data, error } = await supabase
+            .from('creator_tokens')
+            .select('creator_address, peak_market_cap, rugged, launched_at, rugged_at')
+            .in('creator_address', missing);
+        
+        if (error) throw error;
+        
+        for (const address of missing) {
+            const summary = summarizeCreatorTokens(data.filter(r => r.creator_address === address));
+            creatorReputationCache.set(address, summary);
+            reputations.set(address, summary);
+        }
+    } catch (error) {
+        console.log(`⚠️ Creator reputation lookup error: ${error.message}`);
+    }
+    
+    return reputations;
 }
 
-// Determine which DBC launchpad a token came from
-function getDBCTokenSource(address) {
-    if (isBagsToken(address)) return 'Bags';
-    if (isPrintrToken(address)) return 'Printr';
-    if (isEasyToken(address)) return 'Easy';
-    return null;
+// Record launches in the ledger and attach each creator's reputation summary
+async function attachCreatorReputations(launches) {
+    await Promise.all(launches.map(recordCreatorLaunch));
+    
+    const reputations = await fetchCreatorReputations(launches.map(l => l.creatorAddress));
+    for (const launch of launches) {
+        launch.creatorReputation = reputations.get(launch.creatorAddress) || null;
+    }
 }
 
-// Fetch token metadata from DexScreener (free)
-async function fetchBagsTokenMetadata(tokenMint) {
-    try {
-        // Check cache first
-        const cached = bagsMetadataCache.get(tokenMint);
-        if (cached && (Date.now() - cached.timestamp < BAGS_CACHE_TTL)) {
-            return cached.data;
+// Re-check recent un-rugged ledger tokens so rugs that happen after launch get recorded
+async function recheckCreatorLedger() {
+    const { data, error } = await supabase
+        .from('creator_tokens')
+        .select('creator_address, contract')
+        .eq('rugged', false)
+        .gte('launched_at', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString())
+        .order('last_checked_at', { ascending: true, nullsFirst: true })
+        .limit(20);
+    
+    if (error) throw error;
+    
+    let ruggedFound = 0;
+    for (const row of data) {
+        const rugCheck = await fetchRugCheckData(row.contract, false, PRIORITY.BACKGROUND);
+        if (rugCheck?.rugged) {
+            await recordCreatorLaunch({ contract: row.contract, creatorAddress: row.creator_address, isRugged: true });
+            ruggedFound++;
         }
+        
+        await supabase
+            .from('creator_tokens')
+            .update({ last_checked_at: new Date().toISOString() })
+            .eq('creator_address', row.creator_address)
+            .eq('contract', row.contract);
+    }
+    
+    console.log(`✅ Creator ledger recheck: ${data.length} tokens checked, ${ruggedFound} newly rugged`);
+}
 
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 3000); // 3s timeout for speed
-
-        const response = await fetch(
-            `https://api.dexscreener.com/latest/dex/tokens/${tokenMint}`,
-            { signal: controller.signal }
-        );
-        clearTimeout(timeout);
+// Creator record: every token they launched, peak market caps, rugs and time to rug
+app.get('/api/creators/:address', async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!address || address.length < 32) {
+            return res.status(400).json({ success: false, error: 'Invalid creator address' });
+        }
+        
+        const { data, error } = await supabase
+            .from('creator_tokens')
+            .select('*')
+            .eq('creator_address', address)
+            .order('launched_at', { ascending: false });
+        
+        if (error) throw error;
+        
+        res.json({
+            success: true,
+            address: address,
+            reputation: summarizeCreatorTokens(data),
+            tokens: data.map(row => ({
+                contract: row.contract,
+                symbol: row.symbol,
+                source: row.source,
+                launchedAt: row.launched_at,
+                peakMarketCap: Number(row.peak_market_cap) || 0,
+                rugged: row.rugged,
+                ruggedAt: row.rugged_at,
+                timeToRugMinutes: row.rugged && row.rugged_at && row.launched_at
+                    ? Math.round((new Date(row.rugged_at).getTime() - new Date(row.launched_at).getTime()) / 60000)
+                    : null
+            }))
+        });
+        
+    } catch (error) {
+        console.error('❌ Creator lookup error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==========================================
+// BUNDLE RISK PROFILES
+// ==========================================
+
+// Thresholds for the bundle risk ladder (percent of supply / wallet counts)
+// A level applies when the bundle share OR the early-buyer share reaches it
+const BUNDLE_RISK_THRESHOLD_KEYS = [
+    'criticalBundlePercent', 'criticalEarlyPercent',
+    'highBundlePercent', 'highEarlyPercent',
+    'mediumBundlePercent', 'mediumEarlyPercent',
+    'lowBundlePercent', 'lowSameSlotWallets',
+    'noSupplyHighWallets' // used when the token supply couldn't be fetched
+];
+
+const DEFAULT_BUNDLE_RISK_PROFILE = 'default';
+
+const BUILT_IN_BUNDLE_RISK_PROFILES = {
+    conservative: {
+        criticalBundlePercent: 20, criticalEarlyPercent: 35,
+        highBundlePercent: 12, highEarlyPercent: 25,
+        mediumBundlePercent: 6, mediumEarlyPercent: 15,
+        lowBundlePercent: 3, lowSameSlotWallets: 2,
+        noSupplyHighWallets: 3
+    },
+    default: {
+        criticalBundlePercent: 30, criticalEarlyPercent: 50,
+        highBundlePercent: 20, highEarlyPercent: 40,
+        mediumBundlePercent: 10, mediumEarlyPercent: 25,
+        lowBundlePercent: 5, lowSameSlotWallets: 3,
+        noSupplyHighWallets: 5
+    },
+    degen: {
+        criticalBundlePercent: 45, criticalEarlyPercent: 70,
+        highBundlePercent: 30, highEarlyPercent: 55,
+        mediumBundlePercent: 20, mediumEarlyPercent: 40,
+        lowBundlePercent: 10, lowSameSlotWallets: 5,
+        noSupplyHighWallets: 8
+    }
+};
+
+// name -> { thresholds, builtIn }
+let bundleRiskProfiles = new Map(
+    Object.entries(BUILT_IN_BUNDLE_RISK_PROFILES).map(([name, thresholds]) => [name, { thresholds, builtIn: true }])
+);
+
+// Fill in missing / invalid thresholds from the default profile
+function normalizeBundleThresholds(thresholds) {
+    const normalized = { ...BUILT_IN_BUNDLE_RISK_PROFILES[DEFAULT_BUNDLE_RISK_PROFILE] };
+    for (const key of BUNDLE_RISK_THRESHOLD_KEYS) {
+        const value = Number(thresholds?.[key]);
+        if (thresholds?.[key] !== undefined && Number.isFinite(value) && value >= 0) {
+            normalized[key] = value;
+        }
+    }
+    return normalized;
+}
+
+// Reload profiles from Supabase (built-ins first, table rows override)
+async function loadBundleRiskProfiles() {
+    const { data, error } = await supabase
+        .from('bundle_risk_profiles')
+        .select('name, thresholds');
+    
+    if (error) throw error;
+    
+    const profiles = new Map(
+        Object.entries(BUILT_IN_BUNDLE_RISK_PROFILES).map(([name, thresholds]) => [name, { thresholds, builtIn: true }])
+    );
+    for (const row of data) {
+        profiles.set(row.name, {
+            thresholds: normalizeBundleThresholds(row.thresholds),
+            builtIn: !!BUILT_IN_BUNDLE_RISK_PROFILES[row.name]
+        });
+    }
+    bundleRiskProfiles = profiles;
+    
+    console.log(`🎚️ Loaded ${bundleRiskProfiles.size} bundle risk profiles (${data.length} from database)`);
+}
+
+// Load on startup, then refresh every 10 minutes
+loadBundleRiskProfiles().catch(err => console.log(`⚠️ Bundle risk profiles load error: ${err.message}`));
+setInterval(() => {
+    loadBundleRiskProfiles().catch(err => console.log(`⚠️ Bundle risk profiles load error: ${err.message}`));
+}, 10 * 60 * 1000);
+
+// Risk level, isBundled flag and summary for a bundle result under one profile
+function scoreBundleRisk(bundle, profileName) {
+    const t = bundleRiskProfiles.get(profileName)?.thresholds || BUILT_IN_BUNDLE_RISK_PROFILES[DEFAULT_BUNDLE_RISK_PROFILE];
+    const { sameSlotPercent, clusterPercent, bundlePercent, earlyBuyersPercent, supplyKnown } = bundle.riskMetrics;
+    const sameSlotWallets = bundle.bundledWallets || 0;
+    
+    // Risk based on how much supply the bundle/early buyers control
+    let riskLevel = 'NONE';
+    if (bundlePercent >= t.criticalBundlePercent || earlyBuyersPercent >= t.criticalEarlyPercent) {
+        riskLevel = 'CRITICAL';
+    } else if (bundlePercent >= t.highBundlePercent || earlyBuyersPercent >= t.highEarlyPercent) {
+        riskLevel = 'HIGH';
+    } else if (bundlePercent >= t.mediumBundlePercent || earlyBuyersPercent >= t.mediumEarlyPercent) {
+        riskLevel = 'MEDIUM';
+    } else if (bundlePercent >= t.lowBundlePercent || sameSlotWallets >= t.lowSameSlotWallets) {
+        riskLevel = 'LOW';
+    }
+    // If we couldn't get percentages, fall back to wallet count
+    else if (!supplyKnown && sameSlotWallets >= t.noSupplyHighWallets) {
+        riskLevel = 'HIGH';
+    }
+    const isBundled = riskLevel !== 'NONE';
+    
+    const topCluster = bundle.fundingClusters?.[0];
+    const summary = (isBundled
+        ? (clusterPercent > sameSlotPercent
+            ? `${topCluster.walletCount} wallets (${topCluster.supplyPercent}) funded by the same wallet`
+            : `${sameSlotWallets} wallets${bundle.bundledPercent ? ` (${bundle.bundledPercent})` : ''} bought in same block`)
+        : `Organic distribution: ${bundle.totalEarlyBuyers} buyers across ${bundle.slotsAnalyzed} blocks`)
+        + (bundle.scanCoverage?.confidence === 'LOW' ? ' (partial scan)' : '');
+    
+    return { isBundled, riskLevel, riskProfile: profileName, summary };
+}
+
+// Re-score a (cached) bundle result under a profile - returns a copy so the cache is untouched
+// (always re-scored, so threshold edits apply to cached results too)
+function applyBundleRiskProfile(bundle, profileName) {
+    if (!bundle?.riskMetrics) return bundle;
+    return { ...bundle, ...scoreBundleRisk(bundle, profileName || DEFAULT_BUNDLE_RISK_PROFILE) };
+}
+
+// Middleware: validate ?riskProfile= and put the profile name on req.riskProfile
+function withBundleRiskProfile(req, res, next) {
+    const name = req.query.riskProfile || DEFAULT_BUNDLE_RISK_PROFILE;
+    if (!bundleRiskProfiles.has(name)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown riskProfile - use one of: ${Array.from(bundleRiskProfiles.keys()).join(', ')}`
+        });
+    }
+    req.riskProfile = name;
+    next();
+}
+
+// List available bundle risk profiles (select one with ?riskProfile=<name>)
+app.get('/api/bundle-risk-profiles', (req, res) => {
+    res.json({
+        success: true,
+        default: DEFAULT_BUNDLE_RISK_PROFILE,
+        profiles: Array.from(bundleRiskProfiles.entries()).map(([name, p]) => ({ name, ...p }))
+    });
+});
 
+// ==========================================
+// BUNDLE DETECTION (Helius API)
+// ==========================================
+
+// Cache for bundle data (same TTL as RugCheck) - Helius scans are costly, serve stale for up to 1 hour
+const BUNDLE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const bundleCache = createCache('bundle', { ttl: BUNDLE_CACHE_TTL, staleTtl: 60 * 60 * 1000 });
+
+// Pump.fun program ID
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Meteora DBC Program ID (where Bags.fm, Printr and Easy tokens launch)
+const METEORA_DBC_PROGRAM = 'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN';
+
+// Does a Helius parsed transaction call `programId` (top-level or inner instruction)?
+function txTouchesProgram(tx, programId) {
+    return (tx.instructions || []).some(ix =>
+        ix.programId === programId ||
+        (ix.innerInstructions || []).some(inner => inner.programId === programId)
+    );
+}
+
+// Backwards scan budget: pages of Helius history to walk looking for the mint's creation tx
+const BUNDLE_SCAN_PAGE_SIZE = 100;
+const BUNDLE_SCAN_MAX_PAGES = parseInt(process.env.BUNDLE_SCAN_MAX_PAGES, 10) || 5;
+
+// Transaction types Helius uses for token creation (pump.fun create, DBC pool init, plain mint init)
+const CREATION_TX_TYPES = new Set(['CREATE', 'CREATE_POOL', 'INITIALIZE_MINT', 'TOKEN_MINT']);
+
+// Creation tx detection per launch venue
+// DBC pool init isn't typed by Helius, so for DBC also accept the DBC call that first mints the supply
+const CREATION_TX_MATCHERS = {
+    pump: (tx) => CREATION_TX_TYPES.has(tx.type),
+    dbc: (tx, tokenMint) => CREATION_TX_TYPES.has(tx.type) || (
+        txTouchesProgram(tx, METEORA_DBC_PROGRAM) &&
+        (tx.tokenTransfers || []).some(t => t.mint === tokenMint && !t.fromUserAccount)
+    )
+};
+
+// Walk a token's history backwards with `before` until the creation transaction (or the budget runs out)
+// Returns { transactions (oldest first), creationTx, scanCoverage }
+async function scanLaunchTransactions(tokenMint, priority = PRIORITY.NORMAL, venue = 'pump') {
+    const isCreation = CREATION_TX_MATCHERS[venue] || CREATION_TX_MATCHERS.pump;
+    let pages = [];
+    let before = null;
+    let creationTx = null;
+    let reachedStart = false;
+    let pagesScanned = 0;
+    
+    while (pagesScanned < BUNDLE_SCAN_MAX_PAGES) {
+        const url = `${HELIUS_API_URL}/addresses/${tokenMint}/transactions?api-key=${HELIUS_API_KEY}&limit=${BUNDLE_SCAN_PAGE_SIZE}` +
+            (before ? `&before=${before}` : '');
+        const response = await limitedFetch('helius', url, {}, { priority, timeoutMs: 15000 });
+        
         if (!response.ok) {
-            console.log(`⚠️ DexScreener ${response.status} for ${tokenMint.slice(0, 8)}`);
+            if (pagesScanned === 0) throw new Error(`Helius API ${response.status}`);
+            console.log(`   ⚠️ Helius ${response.status} on page ${pagesScanned + 1} - stopping scan`);
+            break;
+        }
+        
+        const page = await response.json();
+        pagesScanned++;
+        if (!Array.isArray(page) || page.length === 0) {
+            reachedStart = true;
+            break;
+        }
+        pages.push(page);
+        
+        creationTx = page.find(tx => isCreation(tx, tokenMint)) || null;
+        if (creationTx || page.length < BUNDLE_SCAN_PAGE_SIZE) {
+            reachedStart = true;
+            break;
+        }
+        before = page[page.length - 1].signature;
+    }
+    
+    // Pages come newest first - flatten and put the launch at the front
+    const transactions = pages.flat().sort((a, b) => (a.slot || 0) - (b.slot || 0));
+    
+    // HIGH: creation tx found; MEDIUM: hit the start of history without a recognisable creation tx;
+    // LOW: budget ran out, so the "first" slot is just the oldest one we saw
+    const confidence = creationTx ? 'HIGH' : reachedStart ? 'MEDIUM' : 'LOW';
+    
+    return {
+        transactions,
+        creationTx,
+        scanCoverage: {
+            pagesScanned: pagesScanned,
+            maxPages: BUNDLE_SCAN_MAX_PAGES,
+            transactionsScanned: transactions.length,
+            reachedCreation: !!creationTx,
+            oldestSlot: transactions[0]?.slot || null,
+            confidence: confidence
+        }
+    };
+}
+
+// Funding-source tracing: how many early buyers to trace and how far back
+const FUNDING_TRACE_WALLETS = 20;
+const FUNDING_TRACE_HOPS = 2;
+const MIN_FUNDING_LAMPORTS = 10000000; // 0.01 SOL - ignore dust / rent top-ups
+
+// Funders shared by unrelated wallets - never cluster through these
+const FUNDING_STOP_CATEGORIES = new Set(['cex', 'program', 'lp']);
+
+// Exchange / bridge / swap-service hot wallets fund thousands of unrelated wallets, and the registry
+// can't list them all - a funder with this many transactions inside the window is never clustered through
+const FUNDER_FANOUT_SIGNATURES = 1000;
+const FUNDER_FANOUT_WINDOW = 24 * 60 * 60 * 1000;
+const funderFanoutCache = createCache('funder-fanout', { ttl: 24 * 60 * 60 * 1000 });
+
+const FUNDING_TRACE_MAX_PAGES = 5; // 100 transfers per page - busier wallets get their oldest funder in that range
+// Helius calls one trace may make (funder pages + fan-out checks); cached lookups don't count
+const FUNDING_TRACE_REQUEST_BUDGET = 40;
+
+// A wallet's first funder never changes, so cache it for a day. When the history was longer than
+// FUNDING_TRACE_MAX_PAGES the answer is only the oldest funder we reached, so it expires sooner
+const fundingSourceCache = createCache('funding-source', { ttl: 24 * 60 * 60 * 1000 });
+const recentFundingSourceCache = createCache('recent-funding-source', { ttl: 60 * 60 * 1000 });
+
+// Find the wallet that first sent SOL to `wallet` by paging back through its transfers
+// `firstFunder` is false when the page budget ran out before the start of the history.
+// budget: optional { remaining } shared across a trace - each page spends one
+async function fetchWalletFunder(wallet, priority = PRIORITY.NORMAL, budget = null) {
+    const cached = await fundingSourceCache.get(wallet) || await recentFundingSourceCache.get(wallet);
+    if (cached) return cached.data;
+    
+    let funding = null;
+    let before = null;
+    let reachedStart = false;
+    let pagesRead = 0;
+    
+    for (let page = 0; page < FUNDING_TRACE_MAX_PAGES; page++) {
+        if (budget) {
+            if (budget.remaining <= 0) break;
+            budget.remaining--;
+        }
+        pagesRead++;
+        const response = await limitedFetch('helius',
+            `${HELIUS_API_URL}/addresses/${wallet}/transactions?api-key=${HELIUS_API_KEY}&type=TRANSFER&limit=100` +
+                (before ? `&before=${before}` : ''),
+            {},
+            { priority, timeoutMs: 10000 }
+        );
+        if (!response.ok) {
+            if (page === 0) return null;
+            break;
+        }
+        
+        const transactions = await response.json();
+        if (!Array.isArray(transactions) || transactions.length === 0) {
+            reachedStart = true;
+            break;
+        }
+        
+        // Newest first - the last qualifying transfer on the oldest page we reach is the earliest
+        for (let i = transactions.length - 1; i >= 0; i--) {
+            const transfer = transactions[i].nativeTransfers?.find(t =>
+                t.toUserAccount === wallet &&
+                t.fromUserAccount &&
+                t.fromUserAccount !== wallet &&
+                t.amount >= MIN_FUNDING_LAMPORTS
+            );
+            if (transfer) {
+                funding = {
+                    funder: transfer.fromUserAccount,
+                    amountSol: transfer.amount / 1e9,
+                    signature: transactions[i].signature
+                };
+                break;
+            }
+        }
+        
+        before = transactions[transactions.length - 1].signature;
+        if (transactions.length < 100) {
+            reachedStart = true;
+            break;
+        }
+    }
+    
+    // Out of budget before reading anything - unknown, not "no funder", so don't cache it
+    if (pagesRead === 0) return null;
+    
+    if (funding) funding.firstFunder = reachedStart;
+    (reachedStart ? fundingSourceCache : recentFundingSourceCache).set(wallet, funding);
+    return funding;
+}
+
+// Whether a funder is a high fan-out hot wallet (see FUNDER_FANOUT_SIGNATURES); null when unknown
+async function isHighFanoutFunder(wallet, priority, budget) {
+    const cached = await funderFanoutCache.get(wallet);
+    if (cached) return cached.data;
+    if (budget.remaining <= 0) return null;
+    budget.remaining--;
+    
+    const signatures = await heliusRpc('getSignaturesForAddress', [wallet, { limit: FUNDER_FANOUT_SIGNATURES }], priority) || [];
+    const newest = signatures[0]?.blockTime;
+    const oldest = signatures[signatures.length - 1]?.blockTime;
+    const highFanout = signatures.length >= FUNDER_FANOUT_SIGNATURES &&
+        (!newest || !oldest || (newest - oldest) * 1000 < FUNDER_FANOUT_WINDOW);
+    
+    funderFanoutCache.set(wallet, highFanout);
+    return highFanout;
+}
+
+// Group early buyers whose SOL came from the same wallet (up to FUNDING_TRACE_HOPS back)
+// buyers: [{ wallet, tokenAmount }] - returns { clusters (2+ wallets, largest share first), funders }
+// where funders maps each traced wallet to the wallet that directly funded it
+async function traceFundingClusters(buyers, totalSupply, priority = PRIORITY.NORMAL) {
+    const tokensByWallet = new Map();
+    for (const buyer of buyers) {
+        tokensByWallet.set(buyer.wallet, (tokensByWallet.get(buyer.wallet) || 0) + (buyer.tokenAmount || 0));
+    }
+    const wallets = [...tokensByWallet.keys()].slice(0, FUNDING_TRACE_WALLETS);
+    
+    // wallet -> funder chain, e.g. [hop1, hop2]
+    const chains = new Map(wallets.map(w => [w, []]));
+    const funders = new Map();
+    let frontier = wallets.map(w => ({ wallet: w, current: w }));
+    const budget = { remaining: FUNDING_TRACE_REQUEST_BUDGET };
+    
+    for (let hop = 0; hop < FUNDING_TRACE_HOPS && frontier.length > 0; hop++) {
+        const results = await Promise.all(frontier.map(async (entry) => {
+            try {
+                return { entry, funding: await fetchWalletFunder(entry.current, priority, budget) };
+            } catch (err) {
+                return { entry, funding: null };
+            }
+        }));
+        
+        // Fan-out check once per distinct funder not already stopped by the registry
+        const candidates = [...new Set(results.filter(r => r.funding).map(r => r.funding.funder))]
+            .filter(funder => !FUNDING_STOP_CATEGORIES.has(knownAccounts.get(funder)?.category));
+        const fanout = new Map(await Promise.all(candidates.map(async (funder) => {
+            try {
+                return [funder, await isHighFanoutFunder(funder, priority, budget)];
+            } catch (err) {
+                return [funder, null];
+            }
+        })));
+        
+        frontier = [];
+        for (const { entry, funding } of results) {
+            if (!funding) continue;
+            if (hop === 0) funders.set(entry.wallet, funding.funder);
+            // Stop at exchanges / programs - they fund thousands of unrelated wallets.
+            // Funders whose fan-out couldn't be checked aren't trusted to link wallets either
+            const known = knownAccounts.get(funding.funder);
+            if (known && FUNDING_STOP_CATEGORIES.has(known.category)) continue;
+            if (fanout.get(funding.funder) !== false) continue;
+            
+            chains.get(entry.wallet).push(funding.funder);
+            frontier.push({ wallet: entry.wallet, current: funding.funder });
+        }
+    }
+    
+    // Wallets sharing any funder in their chain end up in the same cluster (union-find)
+    const parent = new Map();
+    const find = (x) => {
+        while (parent.get(x) !== x) {
+            parent.set(x, parent.get(parent.get(x)));
+            x = parent.get(x);
+        }
+        return x;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+    
+    const walletsByFunder = new Map();
+    for (const [wallet, chain] of chains) {
+        parent.set(wallet, wallet);
+        for (const funder of chain) {
+            if (!walletsByFunder.has(funder)) walletsByFunder.set(funder, []);
+            walletsByFunder.get(funder).push(wallet);
+        }
+    }
+    for (const funded of walletsByFunder.values()) {
+        for (let i = 1; i < funded.length; i++) union(funded[0], funded[i]);
+    }
+    
+    const groups = new Map();
+    for (const wallet of chains.keys()) {
+        const root = find(wallet);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(wallet);
+    }
+    
+    const clusters = [];
+    for (const members of groups.values()) {
+        if (members.length < 2) continue;
+        
+        // The funder shared by the most members (closest hop wins ties)
+        let sharedFunder = null;
+        let sharedCount = 0;
+        for (const wallet of members) {
+            for (const funder of chains.get(wallet)) {
+                const count = walletsByFunder.get(funder).filter(w => members.includes(w)).length;
+                if (count > sharedCount) {
+                    sharedFunder = funder;
+                    sharedCount = count;
+                }
+            }
+        }
+        
+        const tokenAmount = members.reduce((sum, w) => sum + tokensByWallet.get(w), 0);
+        clusters.push({
+            funder: sharedFunder,
+            wallets: members,
+            walletCount: members.length,
+            tokenAmount: tokenAmount,
+            supplyPercent: totalSupply > 0 ? ((tokenAmount / totalSupply) * 100).toFixed(1) + '%' : null
+        });
+    }
+    
+    clusters.sort((a, b) => b.tokenAmount - a.tokenAmount);
+    return { clusters, funders };
+}
+
+// A bundle wallet counts as exited once it holds less than this share of what it bought
+const BUNDLE_EXIT_THRESHOLD = 0.01;
+
+// Current balances of the bundle wallets vs what they bought at launch
+// boughtByWallet: Map wallet -> tokens bought in the launch window
+async function fetchBundleHoldings(tokenMint, boughtByWallet, totalSupply, priority = PRIORITY.NORMAL) {
+    const wallets = [...boughtByWallet.keys()];
+    const balances = await Promise.all(wallets.map(async (wallet) => {
+        const accounts = await heliusRpc('getTokenAccountsByOwner', [wallet, { mint: tokenMint }, { encoding: 'jsonParsed' }], priority);
+        return (accounts?.value || [])
+            .reduce((sum, a) => sum + (a.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0), 0);
+    }));
+    
+    let bought = 0;
+    let heldNow = 0;
+    const exitedWallets = [];
+    wallets.forEach((wallet, i) => {
+        const walletBought = boughtByWallet.get(wallet) || 0;
+        bought += walletBought;
+        // A wallet can't be credited with more than it bought (later buys/transfers in aren't the bundle's)
+        heldNow += walletBought > 0 ? Math.min(balances[i], walletBought) : balances[i];
+        if (walletBought > 0 && balances[i] < walletBought * BUNDLE_EXIT_THRESHOLD) {
+            exitedWallets.push(wallet);
+        }
+    });
+    
+    return {
+        bundleHeldNowPercent: totalSupply > 0 ? ((heldNow / totalSupply) * 100).toFixed(1) + '%' : null,
+        // Share of the bundle's launch buys that has since left the bundle wallets
+        bundleSoldPercent: bought > 0 ? (Math.max(0, (bought - heldNow) / bought) * 100).toFixed(1) + '%' : null,
+        exitedWallets: exitedWallets,
+        holdingsCheckedAt: new Date().toISOString()
+    };
+}
+
+// Fetch bundle detection data for a token
+// venue: 'pump' (graduated Pump.fun swaps) or 'dbc' (Meteora DBC bonding-curve buys - Bags, Printr, Easy)
+async function fetchBundleData(tokenMint, bypassCache = false, priority = PRIORITY.NORMAL, venue = 'pump') {
+    try {
+        if (!HELIUS_API_KEY) {
+            console.log('⚠️ HELIUS_API_KEY not set - skipping bundle detection');
+            return null;
+        }
+
+        // Check cache first (unless bypassing)
+        // Keyed by venue too - a scan with the wrong venue's creation matcher mustn't be served for the other
+        const cacheKey = `${venue}:${tokenMint}`;
+        const cached = bypassCache ? null : await bundleCache.get(cacheKey);
+        if (cached) {
+            if (cached.stale) {
+                console.log(`♻️ Bundle stale cache hit for ${tokenMint.slice(0, 8)} - revalidating`);
+                bundleCache.revalidate(cacheKey, () => fetchBundleData(tokenMint, true, PRIORITY.BACKGROUND, venue));
+            } else {
+                console.log(`📦 Bundle cache hit for ${tokenMint.slice(0, 8)}`);
+            }
+            return cached.data;
+        }
+
+        console.log(`🔍 Bundle check for ${tokenMint.slice(0, 8)} (${venue})...`);
+
+        // Step 1: Get token supply using Helius RPC
+        let totalSupply = 0;
+        try {
+            const supplyResponse = await limitedFetch('helius', HELIUS_RPC_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'getTokenSupply',
+                    params: [tokenMint]
+                })
+            }, { priority });
+            const supplyData = await supplyResponse.json();
+            if (supplyData.result?.value?.uiAmount) {
+                totalSupply = supplyData.result.value.uiAmount;
+                console.log(`   Token supply: ${totalSupply.toLocaleString()}`);
+            }
+        } catch (err) {
+            console.log(`   Could not fetch token supply: ${err.message}`);
+        }
+
+        // Step 2: Page back through the token's history to its creation transaction
+        let scan;
+        try {
+            scan = await scanLaunchTransactions(tokenMint, priority, venue);
+        } catch (err) {
+            console.log(`⚠️ ${err.message} for ${tokenMint.slice(0, 8)}`);
             return null;
         }
-
-        const data = await response.json();
+        const { transactions, creationTx, scanCoverage } = scan;
+
+        if (transactions.length === 0) {
+            console.log(`   No transactions found for ${tokenMint.slice(0, 8)}`);
+            return { isBundled: false, bundledWallets: 0, riskLevel: 'NONE', reason: 'No early transactions found', scanCoverage };
+        }
+
+        if (scanCoverage.confidence === 'LOW') {
+            console.log(`   ⚠️ Scan budget (${BUNDLE_SCAN_MAX_PAGES} pages) ran out before the creation tx - launch window is approximate`);
+        }
+
+        // Step 3: Transactions are sorted by slot (ascending), launch window first
+        // The creation tx's fee payer is the deployer
+        const creator = creationTx?.feePayer || null;
+
+        // Step 4: Extract all buys, then the early ones (token creation phase)
+        const allBuys = [];
+        const firstSlot = creationTx?.slot || transactions[0]?.slot || 0;
+        
+        // Look at transactions within the first 10 slots (~4 seconds on Solana)
+        const SLOT_WINDOW = 10;
+
+        for (const tx of transactions) {
+            if (!tx.slot || tx.slot < firstSlot) continue;
+
+            // Get the fee payer (buyer wallet)
+            const buyer = tx.feePayer;
+            if (!buyer) continue;
+
+            // Find the token transfer for this mint
+            const tokenTransfer = tx.tokenTransfers?.find(t => t.mint === tokenMint);
+            
+            // Check if this is a buy (token transfer TO the buyer) - plain transfers/airdrops aren't buys
+            // DBC curve buys aren't typed SWAP by Helius - a DBC call paying out the token to the fee payer is a buy
+            const isBuy = venue === 'dbc'
+                ? txTouchesProgram(tx, METEORA_DBC_PROGRAM) && tokenTransfer?.toUserAccount === buyer
+                : tx.type !== 'TRANSFER' && (
+                          (tokenTransfer && tokenTransfer.toUserAccount === buyer) || 
+                          tx.description?.toLowerCase().includes('swap') || 
+                          tx.type === 'SWAP');
+
+            if (isBuy) {
+                // Get token amount - try multiple possible fields
+                let tokenAmount = 0;
+                if (tokenTransfer) {
+                    tokenAmount = tokenTransfer.tokenAmount || 
+                                  tokenTransfer.amount || 
+                                  (tokenTransfer.rawTokenAmount?.tokenAmount ? 
+                                   parseFloat(tokenTransfer.rawTokenAmount.tokenAmount) / Math.pow(10, tokenTransfer.rawTokenAmount.decimals || 6) : 0);
+                }
+                
+                allBuys.push({
+                    wallet: buyer,
+                    slot: tx.slot,
+                    signature: tx.signature,
+                    slotOffset: tx.slot - firstSlot,
+                    tokenAmount: tokenAmount
+                });
+            }
+        }
+        
+        // Only early transactions (within first 10 slots of token's first tx) count for same-slot bundles
+        const earlyBuyers = allBuys.filter(b => b.slotOffset <= SLOT_WINDOW);
+        
+        // Fresh wallets spread over many slots but funded by one source are a bundle too
+        let fundingClusters = [];
+        let walletFunders = new Map();
+        try {
+            ({ clusters: fundingClusters, funders: walletFunders } = await traceFundingClusters(allBuys, totalSupply, priority));
+        } catch (err) {
+            console.log(`   Funding trace failed: ${err.message}`);
+        }
+
+        // Step 5: Group buyers by slot
+        const slotGroups = {};
+        for (const buyer of earlyBuyers) {
+            if (!slotGroups[buyer.slot]) {
+                slotGroups[buyer.slot] = [];
+            }
+            slotGroups[buyer.slot].push(buyer);
+        }
+
+        // Step 6: Detect bundles and calculate amounts
+        let maxWalletsInSlot = 0;
+        let bundleSlot = null;
+        let bundleTokenAmount = 0; // Total tokens bought by bundled wallets (same slot)
+        const uniqueEarlyWallets = new Set(earlyBuyers.map(b => b.wallet));
+
+        for (const [slot, buyers] of Object.entries(slotGroups)) {
+            const uniqueWallets = new Set(buyers.map(b => b.wallet));
+            if (uniqueWallets.size > maxWalletsInSlot) {
+                maxWalletsInSlot = uniqueWallets.size;
+                bundleSlot = slot;
+                // Sum token amounts for this bundle slot
+                bundleTokenAmount = buyers.reduce((sum, b) => sum + (b.tokenAmount || 0), 0);
+            }
+        }
+
+        // Step 6a: Dev / bot / sniper labels - the deployer plus the creator RugCheck / our ledger knows of
+        const knownCreator = await resolveTokenCreator(tokenMint, null).catch(() => null);
+        const { buyerBreakdown, topLabeledWallets } = labelEarlyBuyers(earlyBuyers, {
+            creators: [creator, knownCreator],
+            funders: walletFunders
+        }, totalSupply);
+
+        // Step 6b: How much of the bundle is still held - bundle slot wallets plus funding-cluster wallets
+        const boughtByWallet = new Map();
+        const bundleBuys = [
+            ...(bundleSlot !== null && maxWalletsInSlot >= 2 ? slotGroups[bundleSlot] : []),
+            ...allBuys.filter(b => fundingClusters.some(c => c.wallets.includes(b.wallet)))
+        ];
+        for (const buy of new Set(bundleBuys)) {
+            boughtByWallet.set(buy.wallet, (boughtByWallet.get(buy.wallet) || 0) + (buy.tokenAmount || 0));
+        }
+        
+        let holdings = { bundleHeldNowPercent: null, bundleSoldPercent: null, exitedWallets: [], holdingsCheckedAt: null };
+        if (boughtByWallet.size > 0) {
+            try {
+                holdings = await fetchBundleHoldings(tokenMint, boughtByWallet, totalSupply, priority);
+            } catch (err) {
+                console.log(`   Could not fetch bundle wallet balances: ${err.message}`);
+            }
+        }
+
+        // Calculate total early buyer token amount
+        const totalEarlyTokenAmount = earlyBuyers.reduce((sum, b) => sum + (b.tokenAmount || 0), 0);
+        const walletsInEarlySlots = uniqueEarlyWallets.size;
+
+        // Step 7: Calculate percentages
+        let bundledPercent = null;
+        let earlyBuyersPercent = null;
+        
+        if (totalSupply > 0) {
+            if (bundleTokenAmount > 0) {
+                bundledPercent = ((bundleTokenAmount / totalSupply) * 100).toFixed(1) + '%';
+            }
+            if (totalEarlyTokenAmount > 0) {
+                earlyBuyersPercent = ((totalEarlyTokenAmount / totalSupply) * 100).toFixed(1) + '%';
+            }
+        }
+
+        // Step 8: Parse the percentages the risk profile compares against
+        // The largest funding cluster counts like a same-slot bundle
+        const sameSlotPct = bundledPercent ? parseFloat(bundledPercent) : 0;
+        const clusterPct = fundingClusters[0]?.supplyPercent ? parseFloat(fundingClusters[0].supplyPercent) : 0;
+
+        const result = {
+            venue: venue,
+            bundledWallets: maxWalletsInSlot,
+            bundledPercent: bundledPercent,              // NEW: e.g. "34.2%"
+            totalEarlyBuyers: walletsInEarlySlots,
+            earlyBuyersPercent: earlyBuyersPercent,      // NEW: e.g. "52.1%"
+            bundleSlot: bundleSlot,
+            slotsAnalyzed: Object.keys(slotGroups).length,
+            transactionsAnalyzed: earlyBuyers.length,
+            // Inputs for the risk ladder - riskLevel / isBundled / summary come from the risk profile
+            riskMetrics: {
+                sameSlotPercent: sameSlotPct,
+                clusterPercent: clusterPct,
+                bundlePercent: Math.max(sameSlotPct, clusterPct),
+                earlyBuyersPercent: earlyBuyersPercent ? parseFloat(earlyBuyersPercent) : 0,
+                supplyKnown: totalSupply > 0
+            },
+            // Early buyers grouped by shared SOL funder
+            fundingClusters: fundingClusters,
+            // What the bundle wallets hold now vs at launch
+            bundleHeldNowPercent: holdings.bundleHeldNowPercent,
+            bundleSoldPercent: holdings.bundleSoldPercent,
+            exitedWallets: holdings.exitedWallets,
+            holdingsCheckedAt: holdings.holdingsCheckedAt,
+            // Supply share per early-buyer label (dev / bot / sniper / regular)
+            buyerBreakdown: buyerBreakdown,
+            topLabeledWallets: topLabeledWallets,
+            creator: creator,
+            creationSignature: creationTx?.signature || null,
+            // How much of the history we walked - LOW confidence means the launch window may be wrong
+            scanCoverage: scanCoverage
+        };
+        Object.assign(result, scoreBundleRisk(result, DEFAULT_BUNDLE_RISK_PROFILE));
+
+        console.log(`✅ Bundle check ${tokenMint.slice(0, 8)}: ${result.riskLevel} risk (${maxWalletsInSlot} same-slot${bundledPercent ? ` = ${bundledPercent}` : ''}, ${walletsInEarlySlots} early${earlyBuyersPercent ? ` = ${earlyBuyersPercent}` : ''}, ${fundingClusters.length} funding clusters)`);
+
+        // Cache the result
+        bundleCache.set(cacheKey, result);
+
+        return result;
+
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log(`⚠️ Bundle check timeout for ${tokenMint.slice(0, 8)}`);
+        } else {
+            console.log(`⚠️ Bundle check error for ${tokenMint.slice(0, 8)}:`, error.message);
+        }
+        return null;
+    }
+}
+
+// Early buyer labels, in precedence order
+const BUYER_LABELS = ['dev', 'bot', 'sniper', 'regular'];
+
+// Bought within this many slots of creation = sniper
+const SNIPER_SLOT_WINDOW = 1;
+
+const TOP_LABELED_WALLETS = 10;
+
+// Label each early buyer dev / bot / sniper / regular and total their supply share per label
+// creators: deployer / RugCheck creator addresses - a wallet they funded also counts as dev
+// funders: Map wallet -> direct funder from the funding-cluster trace
+function labelEarlyBuyers(earlyBuyers, { creators, funders }, totalSupply) {
+    const buys = new Map(); // wallet -> { tokenAmount, slotOffset }
+    for (const buyer of earlyBuyers) {
+        const entry = buys.get(buyer.wallet) || { tokenAmount: 0, slotOffset: buyer.slotOffset };
+        entry.tokenAmount += buyer.tokenAmount || 0;
+        entry.slotOffset = Math.min(entry.slotOffset, buyer.slotOffset);
+        buys.set(buyer.wallet, entry);
+    }
+    
+    const creatorSet = new Set(creators.filter(Boolean));
+    const percentOf = (amount) => totalSupply > 0 ? ((amount / totalSupply) * 100).toFixed(1) + '%' : null;
+    
+    const breakdown = {};
+    for (const label of BUYER_LABELS) {
+        breakdown[label] = { wallets: 0, tokenAmount: 0, supplyPercent: null };
+    }
+    
+    const labeled = [];
+    for (const [wallet, { tokenAmount, slotOffset }] of buys) {
+        let label = 'regular';
+        let funder = null;
+        if (creatorSet.has(wallet)) {
+            label = 'dev';
+        } else {
+            funder = funders.get(wallet) || null;
+            if (funder && creatorSet.has(funder)) {
+                label = 'dev';
+            } else if (knownAccounts.get(wallet)?.category === 'bot') {
+                label = 'bot';
+            } else if (slotOffset <= SNIPER_SLOT_WINDOW) {
+                label = 'sniper';
+            }
+        }
+        
+        breakdown[label].wallets++;
+        breakdown[label].tokenAmount += tokenAmount;
+        labeled.push({
+            wallet,
+            label,
+            slotOffset,
+            tokenAmount,
+            supplyPercent: percentOf(tokenAmount),
+            fundedBy: funder
+        });
+    }
+    
+    for (const bucket of Object.values(breakdown)) {
+        bucket.supplyPercent = percentOf(bucket.tokenAmount);
+    }
+    
+    const topLabeledWallets = labeled
+        .filter(w => w.label !== 'regular')
+        .sort((a, b) => b.tokenAmount - a.tokenAmount)
+        .slice(0, TOP_LABELED_WALLETS);
+    
+    return { buyerBreakdown: breakdown, topLabeledWallets };
+}
+
+// Trimmed bundle result for launch payloads (`bundleDetection`)
+function formatBundleDetection(bundle) {
+    if (!bundle) return null;
+    return {
+        isBundled: bundle.isBundled || false,
+        bundledWallets: bundle.bundledWallets || 0,
+        bundledPercent: bundle.bundledPercent || null,        // e.g. "34.2%"
+        totalEarlyBuyers: bundle.totalEarlyBuyers || 0,
+        earlyBuyersPercent: bundle.earlyBuyersPercent || null, // e.g. "52.1%"
+        bundleHeldNowPercent: bundle.bundleHeldNowPercent || null,
+        bundleSoldPercent: bundle.bundleSoldPercent || null,
+        exitedWallets: bundle.exitedWallets || [],
+        fundingClusters: bundle.fundingClusters || [],
+        buyerBreakdown: bundle.buyerBreakdown || null,
+        topLabeledWallets: bundle.topLabeledWallets || [],
+        scanConfidence: bundle.scanCoverage?.confidence || null,
+        riskLevel: bundle.riskLevel || 'NONE',
+        riskProfile: bundle.riskProfile || null,
+        summary: bundle.summary || 'No data'
+    };
+}
+
+// ==========================================
+// BUNDLE DETECTION DEBUG ENDPOINT
+// ==========================================
+
+app.get('/api/debug/bundle/:contract', withBundleRiskProfile, async (req, res) => {
+    try {
+        const { contract } = req.params;
+        
+        if (!contract) {
+            return res.status(400).json({ error: 'Contract address required' });
+        }
+        
+        // ?venue=pump|dbc overrides the venue resolved from the launchpad registry
+        const venue = ['pump', 'dbc'].includes(req.query.venue) ? req.query.venue : bundleVenueFor(contract);
+        
+        console.log(`🔍 Debug: Fetching bundle data for ${contract} (${venue})`);
+        
+        const bundleData = applyBundleRiskProfile(await fetchBundleData(contract, false, PRIORITY.USER, venue), req.riskProfile);
+        
+        res.json({
+            success: true,
+            contract: contract,
+            bundle: bundleData
+        });
+        
+    } catch (error) {
+        console.error('Debug bundle error:', error);
+        res.status(500).json({
+            error: error.message,
+            contract: req.params.contract
+        });
+    }
+});
+
+// ==========================================
+// TRAKR RISK ENGINE
+// ==========================================
+
+// Relative weight of each factor in the 0-100 Trakr score.
+// Weights are normalised over the factors we actually have data for,
+// so a token without bundle data is scored on the remaining factors.
+// Override with RISK_WEIGHTS env var (JSON), e.g. {"bundle":30,"liquidity":5}
+const DEFAULT_RISK_WEIGHTS = {
+    rugCheckScore: 15,
+    topHolders: 20,
+    creatorHoldings: 15,
+    creatorHistory: 15,
+    bundle: 20,
+    liquidity: 10,
+    liquidityRatio: 5,
+    tokenAuthorities: 15
+};
+
+let riskWeights = { ...DEFAULT_RISK_WEIGHTS };
+
+// Merge weight overrides into the current weights (ignores unknown keys and bad values)
+function applyRiskWeights(overrides) {
+    const updated = { ...riskWeights };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!(key in DEFAULT_RISK_WEIGHTS)) continue;
+        const weight = Number(value);
+        if (!Number.isFinite(weight) || weight < 0) continue;
+        updated[key] = weight;
+    }
+    riskWeights = updated;
+    return riskWeights;
+}
+
+if (process.env.RISK_WEIGHTS) {
+    try {
+        applyRiskWeights(JSON.parse(process.env.RISK_WEIGHTS));
+        console.log('⚖️ Loaded risk weights from RISK_WEIGHTS:', riskWeights);
+    } catch (err) {
+        console.warn(`⚠️ Invalid RISK_WEIGHTS env var, using defaults: ${err.message}`);
+    }
+}
+
+// Parse "34.2%" / 34.2 / "34.2" into a number (null if missing)
+function parsePercent(value) {
+    if (value === null || value === undefined) return null;
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Linear ramp: 0 at or below `low`, 1 at or above `high`
+function rampSeverity(value, low, high) {
+    if (value <= low) return 0;
+    if (value >= high) return 1;
+    return (value - low) / (high - low);
+}
+
+const BUNDLE_RISK_SEVERITY = { NONE: 0, LOW: 0.25, MEDIUM: 0.5, HIGH: 0.75, CRITICAL: 1 };
+
+// Combine RugCheck, bundle, DexScreener and mint account data into one 0-100 Trakr score (higher = riskier)
+// market only needs { liquidity, marketCap } - a formatted launch object works as-is
+function computeTrakrRisk({ rugCheck, bundle, market, mintSecurity }) {
+    const factors = [];
+    const missing = [];
+
+    const addFactor = (key, label, severity, detail) => {
+        factors.push({ key, label, weight: riskWeights[key] || 0, severity: Math.round(severity * 100) / 100, detail });
+    };
+
+    // RugCheck's own score
+    const rugCheckScore = rugCheck?.scoreNormalised ?? rugCheck?.score;
+    if (rugCheckScore !== null && rugCheckScore !== undefined) {
+        addFactor('rugCheckScore', 'RugCheck score', Math.min(rugCheckScore, 100) / 100,
+            `RugCheck risk score ${rugCheckScore}`);
+    } else {
+        missing.push('rugCheckScore');
+    }
+
+    // Top 20 holder concentration (LPs already excluded)
+    const topHoldersPct = parsePercent(rugCheck?.top10Percent);
+    if (topHoldersPct !== null) {
+        addFactor('topHolders', 'Holder concentration', rampSeverity(topHoldersPct, 15, 60),
+            `Top 20 holders own ${topHoldersPct.toFixed(1)}% of supply`);
+    } else {
+        missing.push('topHolders');
+    }
+
+    // Creator still holding supply
+    const creatorPct = parsePercent(rugCheck?.creatorPercent);
+    if (creatorPct !== null) {
+        addFactor('creatorHoldings', 'Creator holdings', rampSeverity(creatorPct, 0, 20),
+            `Creator holds ${creatorPct.toFixed(1)}% of supply`);
+    } else {
+        missing.push('creatorHoldings');
+    }
+
+    // Creator rug history
+    if (rugCheck) {
+        addFactor('creatorHistory', 'Creator history', rugCheck.creatorHasRugged ? 1 : 0,
+            rugCheck.creatorHasRugged ? 'Creator has rugged tokens before' : 'No rug history found for creator');
+    } else {
+        missing.push('creatorHistory');
+    }
+
+    // Bundled / sniped supply at launch
+    if (bundle) {
+        const level = bundle.riskLevel || 'NONE';
+        addFactor('bundle', 'Bundled launch', BUNDLE_RISK_SEVERITY[level] ?? 0,
+            bundle.isBundled ? `${level} bundle risk: ${bundle.summary}` : (bundle.summary || 'No bundle detected'));
+    } else {
+        missing.push('bundle');
+    }
+
+    // Liquidity depth and liquidity relative to market cap
+    const liquidity = Number(market?.liquidity) || 0;
+    const marketCap = Number(market?.marketCap) || 0;
+    if (liquidity > 0) {
+        addFactor('liquidity', 'Liquidity', 1 - rampSeverity(liquidity, 5000, 50000),
+            `$${Math.round(liquidity).toLocaleString()} liquidity`);
+        if (marketCap > 0) {
+            const ratioPct = (liquidity / marketCap) * 100;
+            addFactor('liquidityRatio', 'Liquidity vs market cap', 1 - rampSeverity(ratioPct, 5, 20),
+                `Liquidity is ${ratioPct.toFixed(1)}% of market cap`);
+        } else {
+            missing.push('liquidityRatio');
+        }
+    } else {
+        missing.push('liquidity', 'liquidityRatio');
+    }
+
+    // Mint / freeze authority, dangerous Token-2022 extensions, mutable metadata
+    if (mintSecurity) {
+        const problems = [];
+        if (!mintSecurity.mintAuthorityRevoked) problems.push('mint authority active');
+        if (!mintSecurity.freezeAuthorityRevoked) problems.push('freeze authority active');
+        if (mintSecurity.hasTransferFee) problems.push(`${mintSecurity.transferFeeBps / 100}% transfer fee`);
+        if (mintSecurity.hasTransferHook) problems.push('transfer hook');
+        if (mintSecurity.hasPermanentDelegate) problems.push('permanent delegate');
+        if (mintSecurity.defaultFrozen) problems.push('accounts frozen by default');
+        
+        let severity = problems.length > 0 ? 1 : 0;
+        if (problems.length === 0 && mintSecurity.metadataMutable) {
+            severity = 0.3;
+            problems.push('metadata mutable');
+        }
+        addFactor('tokenAuthorities', 'Token authorities', severity,
+            problems.length > 0 ? `Mint account: ${problems.join(', ')}` : 'Mint and freeze authority revoked');
+    } else {
+        missing.push('tokenAuthorities');
+    }
+    
+    const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+    for (const factor of factors) {
+        factor.points = totalWeight > 0 ? Math.round((factor.weight * factor.severity / totalWeight) * 1000) / 10 : 0;
+    }
+    factors.sort((a, b) => b.points - a.points);
+
+    let score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+
+    // A token RugCheck already marks as rugged is maximum risk regardless of weights
+    if (rugCheck?.rugged) {
+        score = 100;
+        factors.unshift({ key: 'rugged', label: 'Rugged', weight: null, severity: 1, points: null, detail: 'RugCheck reports this token as rugged' });
+    }
+
+    let level = 'LOW';
+    if (score >= 75) level = 'CRITICAL';
+    else if (score >= 50) level = 'HIGH';
+    else if (score >= 25) level = 'MEDIUM';
+
+    return { score, level, factors, missing };
+}
+
+// Live Launches - Get graduated Pump.fun tokens (using Moralis API)
+// Track last check time to only show NEW graduations going forward
+// FIX: Start by looking back 1 hour (3600000ms) instead of starting from "now"
+// Graduation scanner - fixed 2-minute window, same for everyone
+// Frontend handles per-user "first load" logic and deduplication
+
+// ==========================================
+// BAGS.FM DBC LAUNCH TRACKING (Helper Functions)
+// ==========================================
+
+// Track last check time for Bags launches
+let lastBagsCheck = Date.now() - (60 * 60 * 1000); // Look back 1 hour on startup
+
+// Cache for Bags token metadata (from DexScreener)
+const BAGS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const bagsMetadataCache = createCache('dexscreener', { ttl: BAGS_CACHE_TTL, staleTtl: 5 * 60 * 1000 });
+
+// ==========================================
+// LAUNCHPAD REGISTRY
+// ==========================================
+
+// Each launchpad declares how to recognise its tokens, where to link to and how it graduates.
+// Built-ins below; rows in the launchpads table add new ones (or override a built-in by id),
+// so adding Believe / Moonshot / LetsBonk is a data change.
+//
+//   detection.programIds  - program(s) the launch tx must touch; also the programs fetchBagsLaunches scans
+//   detection.configKeys  - pool config / partner keys; a tx using one marks its mints as this launchpad
+//   detection.suffix      - vanity mint suffix (case-insensitive unless suffixCaseSensitive)
+//   urlTemplate           - token page, {mint} is replaced
+//   legacyUrlField        - old per-source launch field (bagsUrl...) still filled for existing clients
+//   graduation            - { curve: 'dbc' | 'pump' | ..., migratesTo } - what "graduated" means here
+//   scan                  - false when tokens arrive through another pipeline (Pump graduations)
+const BUILT_IN_LAUNCHPADS = [
+    {
+        id: 'bags',
+        name: 'Bags',
+        detection: { programIds: [METEORA_DBC_PROGRAM], configKeys: [], suffix: 'BAGS' },
+        urlTemplate: 'https://bags.fm/{mint}',
+        legacyUrlField: 'bagsUrl',
+        graduation: { curve: 'dbc', migratesTo: 'Meteora DAMM' },
+        scan: true
+    },
+    {
+        id: 'printr',
+        name: 'Printr',
+        detection: { programIds: [METEORA_DBC_PROGRAM], configKeys: [], suffix: 'brrr' },
+        urlTemplate: 'https://printr.money/token/{mint}',
+        legacyUrlField: 'printrUrl',
+        graduation: { curve: 'dbc', migratesTo: 'Meteora DAMM' },
+        scan: true
+    },
+    {
+        id: 'easy',
+        name: 'Easy',
+        detection: { programIds: [METEORA_DBC_PROGRAM], configKeys: [], suffix: 'EASY' },
+        urlTemplate: 'https://kickstart.easya.io/token/{mint}',
+        legacyUrlField: 'easyUrl',
+        graduation: { curve: 'dbc', migratesTo: 'Meteora DAMM' },
+        scan: true
+    },
+    {
+        id: 'pump',
+        name: 'Pump',
+        detection: { programIds: [PUMP_FUN_PROGRAM], configKeys: [], suffix: 'pump' },
+        urlTemplate: 'https://pump.fun/coin/{mint}',
+        legacyUrlField: null,
+        graduation: { curve: 'pump', migratesTo: 'PumpSwap' },
+        scan: false
+    }
+];
+
+function builtInLaunchpadList() {
+    return BUILT_IN_LAUNCHPADS.map(lp => ({ ...lp, enabled: true, builtIn: true }));
+}
+
+// Checked in order - first match wins, so specific (config key) entries should come before suffix ones
+let launchpads = builtInLaunchpadList();
+
+// Reload the registry from Supabase (built-ins first, table rows override by id or append)
+async function loadLaunchpads() {
+    const { data, error } = await supabase
+        .from('launchpads')
+        .select('id, name, detection, url_template, graduation, enabled, scan');
+    
+    if (error) throw error;
+    
+    const registry = builtInLaunchpadList();
+    for (const row of data) {
+        const entry = {
+            id: row.id,
+            name: row.name,
+            // Rows written before validation existed may hold anything - keep only well-formed rules
+            detection: {
+                programIds: Array.isArray(row.detection?.programIds) ? row.detection.programIds.filter(isBase58Address) : [],
+                configKeys: Array.isArray(row.detection?.configKeys) ? row.detection.configKeys.filter(isBase58Address) : [],
+                suffix: typeof row.detection?.suffix === 'string' && row.detection.suffix ? row.detection.suffix : null,
+                suffixCaseSensitive: !!row.detection?.suffixCaseSensitive
+            },
+            urlTemplate: row.url_template || null,
+            legacyUrlField: null,
+            graduation: row.graduation || null,
+            enabled: row.enabled !== false,
+            scan: row.scan !== false,
+            builtIn: false
+        };
+        const index = registry.findIndex(lp => lp.id === row.id);
+        if (index >= 0) {
+            registry[index] = { ...entry, legacyUrlField: registry[index].legacyUrlField, builtIn: true };
+        } else {
+            // Config-key launchpads go first so they win over a shared vanity suffix
+            if (entry.detection.configKeys.length > 0) registry.unshift(entry);
+            else registry.push(entry);
+        }
+    }
+    launchpads = registry;
+    
+    console.log(`🚀 Loaded ${launchpads.length} launchpads (${data.length} from database)`);
+}
+
+// Load on startup, then refresh every 10 minutes
+loadLaunchpads().catch(err => console.log(`⚠️ Launchpads load error: ${err.message}`));
+setInterval(() => {
+    loadLaunchpads().catch(err => console.log(`⚠️ Launchpads load error: ${err.message}`));
+}, 10 * 60 * 1000);
+
+function isBase58Address(value) {
+    return typeof value === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value);
+}
+
+// Error message for a malformed detection object, or null when it's usable
+// A rule needs at least one of: programIds, configKeys, suffix
+function validateLaunchpadDetection(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return 'detection must be an object';
+    for (const key of ['programIds', 'configKeys']) {
+        if (rules[key] === undefined) continue;
+        if (!Array.isArray(rules[key]) || !rules[key].every(isBase58Address)) {
+            return `detection.${key} must be an array of base58 addresses`;
+        }
+    }
+    if (rules.suffix !== undefined && rules.suffix !== null && (typeof rules.suffix !== 'string' || !rules.suffix)) {
+        return 'detection.suffix must be a non-empty string';
+    }
+    if (rules.suffixCaseSensitive !== undefined && typeof rules.suffixCaseSensitive !== 'boolean') {
+        return 'detection.suffixCaseSensitive must be a boolean';
+    }
+    if (!rules.suffix && !rules.configKeys?.length && !rules.programIds?.length) {
+        return 'detection needs programIds, configKeys or a suffix';
+    }
+    return null;
+}
+
+function matchesSuffix(address, suffix, caseSensitive) {
+    if (!address || !suffix) return false;
+    return caseSensitive
+        ? address.endsWith(suffix)
+        : address.toLowerCase().endsWith(suffix.toLowerCase());
+}
+
+// Which launchpad an address belongs to, given the tx it was seen in
+// context: { isMint, programIds: Set, accounts: Set } - config keys only apply to known mints
+// A programIds-only rule claims every mint in a transaction that invoked one of its programs
+function detectLaunchpad(address, context) {
+    for (const lp of launchpads) {
+        if (!lp.enabled) continue;
+        const rules = lp.detection || {};
+        if (rules.programIds?.length && !rules.programIds.some(id => context.programIds.has(id))) continue;
+        if (context.isMint && rules.configKeys?.some(key => context.accounts.has(key))) return lp;
+        if (context.isMint && rules.programIds?.length && !rules.configKeys?.length && !rules.suffix) return lp;
+        if (matchesSuffix(address, rules.suffix, rules.suffixCaseSensitive)) return lp;
+    }
+    return null;
+}
+
+function getLaunchpadByName(name) {
+    return launchpads.find(lp => lp.name === name) || null;
+}
+
+// Bundle scan venue ('pump' or 'dbc') for a mint: the launch's source when known, then the DBC watcher,
+// then the registry's mint suffixes. Anything else is scanned as a graduated Pump.fun token
+function bundleVenueFor(mint, source = null) {
+    const lp = getLaunchpadByName(source) ||
+        (dbcPoolLaunches.has(mint) ? launchpads.find(entry => entry.id === dbcPoolLaunches.get(mint).launchpad) : null) ||
+        launchpads.find(entry => entry.enabled && matchesSuffix(mint, entry.detection?.suffix, entry.detection?.suffixCaseSensitive));
+    if (!lp && dbcPoolLaunches.has(mint)) return 'dbc';
+    const curve = lp?.graduation?.curve;
+    return curve === 'dbc' || curve === 'pump' ? curve : 'pump';
+}
+
+function launchpadUrl(lp, mint) {
+    return lp?.urlTemplate ? lp.urlTemplate.replace('{mint}', mint) : null;
+}
+
+// Per-source URL fields for a launch: generic launchpadUrl plus the legacy bagsUrl/printrUrl/easyUrl
+function launchpadUrlFields(lp, mint) {
+    const fields = { launchpad: lp?.id || null, launchpadUrl: launchpadUrl(lp, mint) };
+    for (const entry of launchpads) {
+        if (entry.legacyUrlField) fields[entry.legacyUrlField] = entry === lp ? fields.launchpadUrl : null;
+    }
+    return fields;
+}
+
+// { Pump: 3, Bags: 1, ... } - every registered launchpad is listed, even at 0
+function countLaunchesBySource(launches) {
+    const counts = {};
+    for (const lp of launchpads) {
+        if (lp.enabled) counts[lp.name] = 0;
+    }
+    for (const launch of launches) {
+        const source = launch.source || 'Unknown';
+        counts[source] = (counts[source] || 0) + 1;
+    }
+    return counts;
+}
+
+// count, the legacy per-source counts and sourceCounts for a launch list
+function launchCountFields(launches) {
+    return {
+        count: launches.length,
+        pumpCount: launches.filter(t => t.source === 'Pump').length,
+        bagsCount: launches.filter(t => t.source === 'Bags').length,
+        printrCount: launches.filter(t => t.source === 'Printr').length,
+        easyCount: launches.filter(t => t.source === 'Easy').length,
+        sourceCounts: countLaunchesBySource(launches)
+    };
+}
+
+// List launchpads
+app.get('/api/launchpads', (req, res) => {
+    res.json({ success: true, count: launchpads.length, launchpads: launchpads });
+});
+
+// ==========================================
+// BAGS.FM DBC HELPERS
+// ==========================================
+
+// Fetch token metadata from DexScreener (free)
+async function fetchBagsTokenMetadata(tokenMint, bypassCache = false, priority = PRIORITY.NORMAL) {
+    try {
+        // Check cache first (unless bypassing)
+        const cached = bypassCache ? null : await bagsMetadataCache.get(tokenMint);
+        if (cached) {
+            if (cached.stale) {
+                bagsMetadataCache.revalidate(tokenMint, () => fetchBagsTokenMetadata(tokenMint, true, PRIORITY.BACKGROUND));
+            }
+            return cached.data;
+        }
+
+        const response = await limitedFetch('dexscreener',
+            `https://api.dexscreener.com/latest/dex/tokens/${tokenMint}`,
+            {},
+            { priority, timeoutMs: 3000 } // 3s timeout for speed
+        );
+
+        if (!response.ok) {
+            console.log(`⚠️ DexScreener ${response.status} for ${tokenMint.slice(0, 8)}`);
+            return null;
+        }
+
+        const data = await response.json();
+        
+        // Get the first pair (most liquid)
+        const pair = data.pairs?.[0];
+        if (!pair) {
+            console.log(`⚠️ No pairs found on DexScreener for ${tokenMint.slice(0, 8)}`);
+            return null;
+        }
+
+        const metadata = {
+            symbol: pair.baseToken?.symbol || 'UNKNOWN',
+            name: pair.baseToken?.name || 'Unknown Token',
+            price: parseFloat(pair.priceUsd) || 0,
+            liquidity: pair.liquidity?.usd || 0,
+            marketCap: pair.marketCap || pair.fdv || 0,
+            priceChange5m: pair.priceChange?.m5 || 0,
+            priceChange1h: pair.priceChange?.h1 || 0,
+            pairAddress: pair.pairAddress,
+            dexId: pair.dexId,
+            createdAt: pair.pairCreatedAt
+        };
+
+        // Cache the result
+        bagsMetadataCache.set(tokenMint, metadata);
+
+        return metadata;
+    } catch (error) {
+        console.log(`⚠️ Metadata fetch error for ${tokenMint.slice(0, 8)}:`, error.message);
+        return null;
+    }
+}
+
+// ==========================================
+// METEORA DBC POOL WATCHER
+// ==========================================
+
+// Decodes DBC pool-initialisation instructions as they land instead of guessing mints from the
+// last few transactions. A checkpointed signature cursor means nothing is skipped between polls:
+// when a busy period outruns the page budget, the unread range is kept as a gap and drained later.
+const DBC_WATCH_PAGE_SIZE = 100; // Helius enhanced transactions max
+const DBC_WATCH_MAX_PAGES = parseInt(process.env.DBC_WATCH_MAX_PAGES) || 5; // Per poll, shared by new txs and gaps
+const DBC_POOL_TTL = 2 * 60 * 60 * 1000; // Keep decoded pools in memory for 2 hours
+const DBC_LIVE_WINDOW = 60 * 60 * 1000; // Launches listed / announced for their first hour
+const DBC_MAX_GAPS = 20; // Oldest gaps are dropped past this - under sustained load we can't catch up anyway
+const DBC_CHECKPOINT_NAME = 'meteora_dbc';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Decode(str) {
+    let value = 0n;
+    for (const char of str) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit < 0) throw new Error(`Invalid base58 character "${char}"`);
+        value = value * 58n + BigInt(digit);
+    }
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value & 0xffn));
+        value >>= 8n;
+    }
+    // Each leading '1' is a leading zero byte
+    for (const char of str) {
+        if (char !== '1') break;
+        bytes.unshift(0);
+    }
+    return Buffer.from(bytes);
+}
+
+function base58Encode(buffer) {
+    let value = 0n;
+    for (const byte of buffer) value = (value << 8n) + BigInt(byte);
+    let str = '';
+    while (value > 0n) {
+        str = BASE58_ALPHABET[Number(value % 58n)] + str;
+        value /= 58n;
+    }
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        str = '1' + str;
+    }
+    return str;
+}
+
+function readU128(buffer, offset) {
+    return (buffer.readBigUInt64LE(offset + 8) << 64n) | buffer.readBigUInt64LE(offset);
+}
+
+function readPubkey(buffer, offset) {
+    return base58Encode(buffer.subarray(offset, offset + 32));
+}
+
+// Anchor discriminator (sha256("global:<name>")[0..8], hex) -> leading accounts from the DBC IDL
+const DBC_INIT_POOL_INSTRUCTIONS = {
+    '8c55d7b06636684f': { name: 'initialize_virtual_pool_with_spl_token', tokenProgram: 'spl' },
+    'a976334e916edc9b': { name: 'initialize_virtual_pool_with_token2022', tokenProgram: 'token2022' },
+    'b60de9b12a918702': { name: 'initialize_virtual_pool_with_token2022_transfer_hook', tokenProgram: 'token2022' }
+};
+const DBC_INIT_POOL_ACCOUNTS = ['config', 'poolAuthority', 'creator', 'mint', 'quoteMint', 'pool', 'baseVault', 'quoteVault'];
+
+// PoolConfig is a zero-copy account - byte offsets (after the 8-byte discriminator) from the DBC IDL
+const DBC_POOL_CONFIG_DISCRIMINATOR = '1a6c0e7b74e6812b';
+const DBC_POOL_CONFIG_SIZE = 1048;
+const DBC_CURVE_POINTS = 20;
+
+// Decode one instruction; null unless it's a DBC pool initialisation
+// (works on Helius enhanced instructions and inner instructions: { programId, accounts, data })
+function decodeDbcPoolInit(ix) {
+    if (ix?.programId !== METEORA_DBC_PROGRAM || !ix.data) return null;
+
+    let data;
+    try {
+        data = base58Decode(ix.data);
+    } catch (error) {
+        return null;
+    }
+    const variant = data.length >= 8 ? DBC_INIT_POOL_INSTRUCTIONS[data.subarray(0, 8).toString('hex')] : null;
+    if (!variant || (ix.accounts || []).length < DBC_INIT_POOL_ACCOUNTS.length) return null;
+
+    const accounts = {};
+    DBC_INIT_POOL_ACCOUNTS.forEach((name, i) => { accounts[name] = ix.accounts[i]; });
+
+    // InitializePoolParameters { name: String, symbol: String, uri: String } (borsh: u32 length + utf8)
+    const params = {};
+    let offset = 8;
+    try {
+        for (const field of ['name', 'symbol', 'uri']) {
+            const length = data.readUInt32LE(offset);
+            params[field] = data.toString('utf8', offset + 4, offset + 4 + length).replace(/\0/g, '').trim();
+            offset += 4 + length;
+        }
+    } catch (error) {
+        // Truncated args - the accounts are still good
+    }
+
+    return {
+        instruction: variant.name,
+        tokenProgram: variant.tokenProgram,
+        mint: accounts.mint,
+        creator: accounts.creator,
+        config: accounts.config,
+        pool: accounts.pool,
+        quoteMint: accounts.quoteMint,
+        baseVault: accounts.baseVault,
+        quoteVault: accounts.quoteVault,
+        name: params.name || null,
+        symbol: params.symbol || null,
+        uri: params.uri || null
+    };
+}
+
+// Curve parameters every pool on this config starts with
+function decodeDbcPoolConfig(buffer) {
+    if (buffer.length < DBC_POOL_CONFIG_SIZE || buffer.subarray(0, 8).toString('hex') !== DBC_POOL_CONFIG_DISCRIMINATOR) {
+        return null;
+    }
+
+    const curve = [];
+    for (let i = 0; i < DBC_CURVE_POINTS; i++) {
+        const offset = 408 + i * 32;
+        const sqrtPrice = readU128(buffer, offset);
+        if (sqrtPrice === 0n) break;
+        curve.push({ sqrtPrice: sqrtPrice.toString(), liquidity: readU128(buffer, offset + 16).toString() });
+    }
+
+    // u64 / u128 amounts stay strings (raw units) - they overflow Number
+    return {
+        quoteMint: readPubkey(buffer, 8),
+        feeClaimer: readPubkey(buffer, 40),
+        migrationOption: buffer.readUInt8(233), // 0 = Meteora DAMM v1, 1 = DAMM v2
+        activationType: buffer.readUInt8(234),
+        tokenDecimal: buffer.readUInt8(235),
+        tokenType: buffer.readUInt8(237), // 0 = SPL, 1 = Token-2022
+        creatorTradingFeePercentage: buffer.readUInt8(245),
+        swapBaseAmount: buffer.readBigUInt64LE(256).toString(),
+        migrationQuoteThreshold: buffer.readBigUInt64LE(264).toString(),
+        migrationBaseThreshold: buffer.readBigUInt64LE(272).toString(),
+        migrationSqrtPrice: readU128(buffer, 280).toString(),
+        preMigrationTokenSupply: buffer.readBigUInt64LE(344).toString(),
+        postMigrationTokenSupply: buffer.readBigUInt64LE(352).toString(),
+        sqrtStartPrice: readU128(buffer, 392).toString(),
+        curve: curve
+    };
+}
+
+// Configs are shared by every pool a launchpad creates and rarely change
+const dbcConfigCache = createCache('dbc-config', { ttl: 60 * 60 * 1000, staleTtl: 24 * 60 * 60 * 1000 });
+
+async function fetchDbcPoolConfig(configKey, priority = PRIORITY.BACKGROUND) {
+    const cached = await dbcConfigCache.get(configKey);
+    if (cached) return cached.data;
+
+    try {
+        const result = await heliusRpc('getAccountInfo', [configKey, { encoding: 'base64' }], priority);
+        const raw = result?.value?.data?.[0];
+        const config = raw ? decodeDbcPoolConfig(Buffer.from(raw, 'base64')) : null;
+        if (config) dbcConfigCache.set(configKey, config);
+        return config;
+    } catch (error) {
+        console.log(`⚠️ DBC config fetch error for ${configKey.slice(0, 8)}: ${error.message}`);
+        return null;
+    }
+}
+
+// mint -> decoded pool (+ launchpad, createdAt, signature, slot, curve)
+const dbcPoolLaunches = new Map();
+
+// cursor = newest signature processed; gaps = [{ before, until, queuedAt }] ranges still to read
+const dbcWatcher = {
+    cursor: null,
+    gaps: [],
+    loaded: false,
+    running: null,
+    stats: { polls: 0, transactionsScanned: 0, poolsDecoded: 0, gapsDropped: 0, lastPollAt: null, lastPoolAt: null }
+};
+
+async function loadDbcCheckpoint() {
+    const { data, error } = await supabase
+        .from('watcher_checkpoints')
+        .select('cursor, gaps')
+        .eq('name', DBC_CHECKPOINT_NAME)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (data) {
+        dbcWatcher.cursor = data.cursor;
+        dbcWatcher.gaps = (data.gaps || []).map(gap => ({ ...gap, queuedAt: gap.queuedAt || Date.now() }));
+        console.log(`🧭 DBC watcher resuming from ${data.cursor?.slice(0, 8)} (${dbcWatcher.gaps.length} gaps)`);
+    }
+}
+
+// Refill dbcPoolLaunches with pools recorded within DBC_POOL_TTL before a restart
+async function loadRecentDbcPools() {
+    const { data, error } = await supabase
+        .from('dbc_pools')
+        .select('mint, pool, creator, config, quote_mint, launchpad, name, symbol, uri, curve, signature, slot, created_at')
+        .gte('created_at', new Date(Date.now() - DBC_POOL_TTL).toISOString());
+
+    if (error) throw error;
+
+    for (const row of data) {
+        if (dbcPoolLaunches.has(row.mint)) continue;
+        dbcPoolLaunches.set(row.mint, {
+            mint: row.mint,
+            pool: row.pool,
+            creator: row.creator,
+            config: row.config,
+            quoteMint: row.quote_mint,
+            launchpad: row.launchpad,
+            name: row.name,
+            symbol: row.symbol,
+            uri: row.uri,
+            curve: row.curve,
+            signature: row.signature,
+            slot: row.slot,
+            createdAt: new Date(row.created_at).toISOString()
+        });
+    }
+    console.log(`🧭 DBC watcher restored ${data.length} recent pools`);
+}
+
+async function saveDbcCheckpoint() {
+    const { error } = await supabase
+        .from('watcher_checkpoints')
+        .upsert({
+            name: DBC_CHECKPOINT_NAME,
+            cursor: dbcWatcher.cursor,
+            gaps: dbcWatcher.gaps,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'name' });
+
+    if (error) throw error;
+}
+
+// Read DBC transactions newest-first between two signatures (either may be null)
+// Returns { transactions, reachedUntil } - reachedUntil is false when the page budget ran out first
+async function fetchDbcTransactionRange(before, until, maxPages) {
+    const transactions = [];
+    let cursor = before;
+
+    for (let page = 0; page < maxPages; page++) {
+        const params = new URLSearchParams({ 'api-key': HELIUS_API_KEY, limit: String(DBC_WATCH_PAGE_SIZE) });
+        if (cursor) params.set('before', cursor);
+        if (until) params.set('until', until);
+
+        const response = await limitedFetch('helius',
+            `${HELIUS_API_URL}/addresses/${METEORA_DBC_PROGRAM}/transactions?${params}`,
+            {},
+            { priority: PRIORITY.BACKGROUND, timeoutMs: 15000 }
+        );
+        if (!response.ok) {
+            throw new Error(`Helius DBC transactions returned ${response.status}`);
+        }
+
+        const batch = await response.json() || [];
+        transactions.push(...batch);
+
+        if (batch.length < DBC_WATCH_PAGE_SIZE) {
+            return { transactions, reachedUntil: true, pagesUsed: page + 1 };
+        }
+        cursor = batch[batch.length - 1].signature;
+    }
+
+    return { transactions, reachedUntil: false, pagesUsed: maxPages };
+}
+
+// Decode every pool created in a batch of transactions and remember it
+async function recordDbcPools(transactions) {
+    const pools = [];
+
+    for (const tx of transactions) {
+        if (tx.transactionError) continue;
+
+        const instructions = (tx.instructions || []).flatMap(ix => [ix, ...(ix.innerInstructions || [])]);
+        for (const ix of instructions) {
+            const pool = decodeDbcPoolInit(ix);
+            if (!pool?.mint || dbcPoolLaunches.has(pool.mint)) continue;
+
+            const lp = detectLaunchpad(pool.mint, {
+                isMint: true,
+                programIds: new Set(instructions.map(i => i.programId)),
+                accounts: new Set(instructions.flatMap(i => i.accounts || []))
+            });
+            pools.push({
+                ...pool,
+                launchpad: lp?.id || null,
+                signature: tx.signature,
+                slot: tx.slot,
+                createdAt: new Date((tx.timestamp || Date.now() / 1000) * 1000).toISOString()
+            });
+        }
+    }
+
+    // Curve parameters - one config lookup per distinct config
+    const configs = new Map();
+    for (const configKey of new Set(pools.map(p => p.config))) {
+        configs.set(configKey, await fetchDbcPoolConfig(configKey));
+    }
+
+    for (const pool of pools) {
+        pool.curve = configs.get(pool.config) || null;
+        dbcPoolLaunches.set(pool.mint, pool);
+
+        const lp = launchpads.find(entry => entry.id === pool.launchpad);
+        console.log(`🧪 DBC pool created: ${pool.symbol || pool.mint.slice(0, 8)} (${lp?.name || 'unlisted launchpad'})`);
+        // Pools found while draining an old gap are recorded but not announced as new launches
+        if (lp && Date.now() - new Date(pool.createdAt).getTime() <= DBC_LIVE_WINDOW) {
+            launchEvents.emit('detected', {
+                contract: pool.mint,
+                symbol: pool.symbol,
+                name: pool.name,
+                source: lp.name,
+                createdAt: pool.createdAt
+            });
+        }
+    }
+
+    if (pools.length > 0) {
+        const { error } = await supabase
+            .from('dbc_pools')
+            .upsert(pools.map(pool => ({
+                mint: pool.mint,
+                pool: pool.pool,
+                creator: pool.creator,
+                config: pool.config,
+                quote_mint: pool.quoteMint,
+                launchpad: pool.launchpad,
+                name: pool.name,
+                symbol: pool.symbol,
+                uri: pool.uri,
+                curve: pool.curve,
+                signature: pool.signature,
+                slot: pool.slot,
+                created_at: pool.createdAt
+            })), { onConflict: 'mint' });
+
+        if (error) console.log(`⚠️ DBC pool persist error: ${error.message}`);
+
+        dbcWatcher.stats.poolsDecoded += pools.length;
+        dbcWatcher.stats.lastPoolAt = new Date().toISOString();
+    }
+
+    return pools;
+}
+
+// Drop gaps past the pool TTL (anything in them is too old to list) and the oldest beyond DBC_MAX_GAPS
+function pruneDbcGaps() {
+    const cutoff = Date.now() - DBC_POOL_TTL;
+    const kept = dbcWatcher.gaps.filter(gap => gap.queuedAt >= cutoff).slice(-DBC_MAX_GAPS);
+    const dropped = dbcWatcher.gaps.length - kept.length;
+    if (dropped > 0) {
+        dbcWatcher.stats.gapsDropped += dropped;
+        console.log(`⚠️ DBC watcher dropped ${dropped} stale gap(s)`);
+    }
+    dbcWatcher.gaps = kept;
+}
+
+// One poll: everything since the cursor first, then leftover budget on older gaps
+// (one page is always kept for gaps so they still drain under sustained load)
+async function pollDbcPoolCreations() {
+    if (!HELIUS_API_KEY) return;
+    if (dbcWatcher.running) return dbcWatcher.running;
+
+    dbcWatcher.running = (async () => {
+        if (!dbcWatcher.loaded) {
+            await loadDbcCheckpoint().catch(err => console.log(`⚠️ DBC checkpoint load error: ${err.message}`));
+            await loadRecentDbcPools().catch(err => console.log(`⚠️ DBC pool restore error: ${err.message}`));
+            dbcWatcher.loaded = true;
+        }
+
+        // First run ever: start from the latest page rather than the whole history
+        const freshPages = !dbcWatcher.cursor ? 1 : Math.max(1, DBC_WATCH_MAX_PAGES - (dbcWatcher.gaps.length > 0 ? 1 : 0));
+        const fresh = await fetchDbcTransactionRange(null, dbcWatcher.cursor, freshPages);
+        let pagesLeft = DBC_WATCH_MAX_PAGES - fresh.pagesUsed;
+
+        await recordDbcPools(fresh.transactions);
+        dbcWatcher.stats.transactionsScanned += fresh.transactions.length;
+
+        if (fresh.transactions.length > 0) {
+            if (!fresh.reachedUntil && dbcWatcher.cursor) {
+                dbcWatcher.gaps.push({
+                    before: fresh.transactions[fresh.transactions.length - 1].signature,
+                    until: dbcWatcher.cursor,
+                    queuedAt: Date.now()
+                });
+                console.log(`⚠️ DBC watcher fell behind - queued gap (${dbcWatcher.gaps.length} pending)`);
+            }
+            dbcWatcher.cursor = fresh.transactions[0].signature;
+        }
+
+        pruneDbcGaps();
+
+        // Drain gaps newest-first
+        while (pagesLeft > 0 && dbcWatcher.gaps.length > 0) {
+            const gap = dbcWatcher.gaps[dbcWatcher.gaps.length - 1];
+            const range = await fetchDbcTransactionRange(gap.before, gap.until, pagesLeft);
+            pagesLeft -= range.pagesUsed;
+
+            await recordDbcPools(range.transactions);
+            dbcWatcher.stats.transactionsScanned += range.transactions.length;
+
+            if (range.reachedUntil) {
+                dbcWatcher.gaps.pop();
+            } else {
+                gap.before = range.transactions[range.transactions.length - 1].signature;
+            }
+        }
+
+        await saveDbcCheckpoint().catch(err => console.log(`⚠️ DBC checkpoint save error: ${err.message}`));
+
+        dbcWatcher.stats.polls++;
+        dbcWatcher.stats.lastPollAt = new Date().toISOString();
+
+        const cutoff = Date.now() - DBC_POOL_TTL;
+        for (const [mint, pool] of dbcPoolLaunches) {
+            if (new Date(pool.createdAt).getTime() < cutoff) dbcPoolLaunches.delete(mint);
+        }
+    })().finally(() => {
+        dbcWatcher.running = null;
+    });
+
+    return dbcWatcher.running;
+}
+
+// DBC watcher status
+app.get('/api/metrics/dbc-watcher', (req, res) => {
+    res.json({
+        success: true,
+        enabled: !!HELIUS_API_KEY,
+        cursor: dbcWatcher.cursor,
+        pendingGaps: dbcWatcher.gaps.length,
+        poolsInMemory: dbcPoolLaunches.size,
+        ...dbcWatcher.stats
+    });
+});
+
+// Suffix / config-key scan of recent transactions for launchpads on programs we can't decode yet
+async function scanProgramForLaunchpadMints(programId) {
+    const response = await limitedFetch('helius',
+        `${HELIUS_API_URL}/addresses/${programId}/transactions?api-key=${HELIUS_API_KEY}&limit=20`,
+        {},
+        { timeoutMs: 8000 } // 8s timeout
+    );
+
+    if (!response.ok) {
+        console.log(`⚠️ Helius API ${response.status} for program ${programId.slice(0, 8)}`);
+        return new Map();
+    }
+    const transactions = await response.json() || [];
+
+    // Map: mint -> launchpad
+    const potentialTokens = new Map();
+
+    for (const tx of transactions) {
+        const accounts = new Set([
+            ...(tx.accountData || []).map(a => a.account),
+            ...(tx.instructions || []).flatMap(ix => ix.accounts || [])
+        ]);
+        const programIds = new Set((tx.instructions || []).flatMap(ix =>
+            [ix.programId, ...(ix.innerInstructions || []).map(inner => inner.programId)]
+        ));
+        
+        // Token transfer mints are definitely mints - config-key rules apply to them
+        for (const transfer of tx.tokenTransfers || []) {
+            if (!transfer.mint || potentialTokens.has(transfer.mint)) continue;
+            const lp = detectLaunchpad(transfer.mint, { isMint: true, programIds, accounts });
+            if (lp) potentialTokens.set(transfer.mint, lp);
+        }
+
+        // Any other account can still match on a vanity suffix
+        for (const address of accounts) {
+            if (!address || potentialTokens.has(address)) continue;
+            const lp = detectLaunchpad(address, { isMint: false, programIds, accounts });
+            if (lp) potentialTokens.set(address, lp);
+        }
+    }
+
+    return potentialTokens;
+}
+
+// Fetch new launchpad launches (Bags / Printr / Easy on Meteora DBC, plus registry additions)
+async function fetchBagsLaunches() {
+    if (!HELIUS_API_KEY) {
+        console.log('⚠️ HELIUS_API_KEY not set - skipping Bags DBC check');
+        return [];
+    }
+
+    try {
+        const maxAgeMinutes = DBC_LIVE_WINDOW / 60000; // Only show tokens created in last 60 minutes
+        const now = Date.now();
+
+        // DBC pools come from the decoded pool-creation watcher (polled by cron, never inside a request)
+
+        // Map: mint -> { lp, pool }
+        const potentialTokens = new Map();
+        for (const pool of dbcPoolLaunches.values()) {
+            const lp = launchpads.find(entry => entry.id === pool.launchpad);
+            if (!lp?.enabled || !lp.scan) continue;
+            if (now - new Date(pool.createdAt).getTime() > maxAgeMinutes * 60 * 1000) continue;
+            potentialTokens.set(pool.mint, { lp, pool });
+        }
+
+        // Other scanned programs fall back to detection rules on recent transactions
+        const programs = [...new Set(launchpads
+            .filter(lp => lp.enabled && lp.scan)
+            .flatMap(lp => lp.detection?.programIds || []))]
+            .filter(programId => programId !== METEORA_DBC_PROGRAM);
+        for (const programId of programs) {
+            for (const [mint, lp] of await scanProgramForLaunchpadMints(programId)) {
+                if (!potentialTokens.has(mint)) potentialTokens.set(mint, { lp, pool: null });
+            }
+        }
+
+        console.log(`🛍️ Found ${potentialTokens.size} launchpad tokens (${dbcPoolLaunches.size} DBC pools decoded)`);
+
+        // Fetch metadata for each token IN PARALLEL and filter by CREATION TIME
+        const bagsLaunches = [];
+        
+        const metadataPromises = Array.from(potentialTokens.keys()).map(async (tokenMint) => {
+            const metadata = await fetchBagsTokenMetadata(tokenMint);
+            return { tokenMint, metadata };
+        });
+        
+        const metadataResults = await Promise.all(metadataPromises);
+        
+        for (const { tokenMint, metadata } of metadataResults) {
+            const { lp, pool } = potentialTokens.get(tokenMint);
+            const tokenSource = lp.name;
+
+            // Decoded pools don't need DexScreener to have indexed the pair yet
+            if (!metadata && !pool) continue;
+
+            // Check token age - filter out old tokens
+            const createdAt = pool?.createdAt || metadata.createdAt;
+            const createdTime = createdAt ? new Date(createdAt).getTime() : 0;
+            const ageMinutes = createdTime ? Math.floor((now - createdTime) / (1000 * 60)) : 9999;
+            const symbol = metadata?.symbol || pool.symbol;
+            
+            if (ageMinutes > maxAgeMinutes) {
+                console.log(`⏭️ Skipping ${symbol} - too old (${ageMinutes}m)`);
+                continue;
+            }
+            
+            console.log(`✅ ${tokenSource} token: ${symbol} (${ageMinutes}m old)`);
+            
+            bagsLaunches.push({
+                symbol: symbol,
+                name: metadata?.name || pool.name,
+                contract: tokenMint,
+                price: metadata?.price || 0,
+                liquidity: metadata?.liquidity || 0,
+                marketCap: metadata?.marketCap || 0,
+                priceChange: {
+                    m5: metadata?.priceChange5m || 0,
+                    h1: metadata?.priceChange1h || 0
+                },
+                source: tokenSource, // launchpad display name, e.g. 'Bags', 'Printr', 'Easy'
+                graduation: lp.graduation || null,
+                dex: metadata?.dexId || 'meteora',
+                createdAt: createdAt,
+                ageMinutes: ageMinutes,
+                creator: pool?.creator || null,
+                dbcPool: pool ? {
+                    pool: pool.pool,
+                    config: pool.config,
+                    quoteMint: pool.quoteMint,
+                    uri: pool.uri,
+                    signature: pool.signature,
+                    curve: pool.curve
+                } : null,
+                dexscreenerUrl: `https://dexscreener.com/solana/${tokenMint}`,
+                ...launchpadUrlFields(lp, tokenMint),
+                jupiterUrl: `https://jup.ag/?sell=So11111111111111111111111111111111111111112&buy=${tokenMint}`
+            });
+        }
+
+        // Bonding curve progress + graduation ETA
+        await Promise.all(bagsLaunches.map(async (launch) => {
+            Object.assign(launch, curveLaunchFields(await fetchCurveProgress(launch.contract, launch.source)));
+        }));
+
+        console.log(`🛍️ Returning ${bagsLaunches.length} fresh launchpad tokens (< ${maxAgeMinutes}m old)`);
+        return bagsLaunches;
+
+    } catch (error) {
+        console.error('❌ Bags DBC fetch error:', error.message);
+        return [];
+    }
+}
+
+// ==========================================
+// PUMP.FUN GRADUATION DETECTOR (Helius WebSocket)
+// ==========================================
+
+// Watches the Pump.fun migration authority's logs for `Migrate` instructions (bonding curve complete -> AMM pool)
+// and records the graduated mint straight away. Moralis is only a backfill on top of this.
+const HELIUS_WS_URL = HELIUS_API_KEY ? `wss://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}` : null;
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// How long a detection stays in memory (the live window is 10 minutes)
+const GRADUATION_DETECTION_TTL = 60 * 60 * 1000;
+const GRADUATION_WS_PING_INTERVAL = 30 * 1000; // Helius drops idle sockets
+const GRADUATION_WS_MAX_BACKOFF = 60 * 1000;
+
+// Pump.fun's migration authority signs every Migrate - subscribing to it instead of the program
+// skips the firehose of ordinary curve trades
+const PUMP_MIGRATION_ACCOUNT = process.env.PUMP_MIGRATION_ACCOUNT || '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg';
+const PUMP_MIGRATE_DISCRIMINATOR = '9beae792ec9ea21e'; // sha256('global:migrate')[0..8]
+const PUMP_MIGRATE_MINT_INDEX = 2; // global, withdraw_authority, mint, bonding_curve, ...
+
+// mint -> { tokenAddress, name, symbol, graduatedAt, signature, detectedBy }
+const graduationDetections = new Map();
+
+let graduationSocket = null;
+let graduationReconnectDelay = 1000;
+const graduationDetectorStats = { connected: false, connects: 0, migrations: 0, lastEventAt: null };
+
+// The mint account of the Pump.fun Migrate instruction (top level or CPI)
+function findMigratedMint(tx) {
+    const instructions = [
+        ...(tx?.transaction?.message?.instructions || []),
+        ...(tx?.meta?.innerInstructions || []).flatMap(inner => inner.instructions || [])
+    ];
+    for (const ix of instructions) {
+        if (ix.programId !== PUMP_FUN_PROGRAM || typeof ix.data !== 'string') continue;
+        try {
+            if (base58Decode(ix.data).subarray(0, 8).toString('hex') === PUMP_MIGRATE_DISCRIMINATOR) {
+                return ix.accounts?.[PUMP_MIGRATE_MINT_INDEX] || null;
+            }
+        } catch (error) {
+            continue;
+        }
+    }
+    return null;
+}
+
+// Work out which mint a migration tx graduated - the Migrate instruction's mint account, else the
+// non-WSOL mint that already had balances before the tx (the pool's LP mint is created by it)
+async function recordMigration(signature) {
+    try {
+        const tx = await heliusRpc('getTransaction', [signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }], PRIORITY.USER);
+        const mint = findMigratedMint(tx) || (tx?.meta?.preTokenBalances || [])
+            .map(b => b.mint)
+            .find(m => m && m !== WSOL_MINT);
+        if (!mint || graduationDetections.has(mint)) return;
+        
+        const asset = await heliusRpc('getAsset', { id: mint }, PRIORITY.NORMAL).catch(() => null);
+        const graduation = {
+            tokenAddress: mint,
+            name: asset?.content?.metadata?.name || null,
+            symbol: asset?.content?.metadata?.symbol || null,
+            logo: asset?.content?.links?.image || null,
+            graduatedAt: new Date((tx.blockTime || Date.now() / 1000) * 1000).toISOString(),
+            signature: signature,
+            detectedBy: 'websocket'
+        };
+        graduationDetections.set(mint, graduation);
+        graduationDetectorStats.migrations++;
+        
+        console.log(`🎓 Graduation detected on-chain: ${graduation.symbol || mint.slice(0, 8)} (${signature.slice(0, 8)})`);
+        launchEvents.emit('detected', {
+            contract: mint,
+            symbol: graduation.symbol,
+            name: graduation.name,
+            source: 'Pump',
+            graduatedAt: graduation.graduatedAt
+        });
+    } catch (error) {
+        console.log(`⚠️ Could not resolve migration ${signature.slice(0, 8)}: ${error.message}`);
+    }
+}
+
+function connectGraduationDetector() {
+    if (!HELIUS_WS_URL) {
+        console.log('⚠️ HELIUS_API_KEY not set - on-chain graduation detector disabled (Moralis only)');
+        return;
+    }
+    
+    const socket = new WebSocket(HELIUS_WS_URL);
+    graduationSocket = socket;
+    let pingTimer = null;
+    
+    socket.on('open', () => {
+        graduationReconnectDelay = 1000;
+        graduationDetectorStats.connected = true;
+        graduationDetectorStats.connects++;
+        console.log('🔌 Graduation detector connected - subscribing to Pump.fun migration logs');
+        socket.send(JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'logsSubscribe',
+            params: [{ mentions: [PUMP_MIGRATION_ACCOUNT] }, { commitment: 'confirmed' }]
+        }));
+        pingTimer = setInterval(() => {
+            if (socket.readyState === WebSocket.OPEN) socket.ping();
+        }, GRADUATION_WS_PING_INTERVAL);
+    });
+    
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (err) {
+            return;
+        }
+        if (message.method !== 'logsNotification') return;
+        
+        const value = message.params?.result?.value;
+        if (!value || value.err) return;
+        graduationDetectorStats.lastEventAt = new Date().toISOString();
+        
+        if (value.logs?.some(line => line === 'Program log: Instruction: Migrate')) {
+            recordMigration(value.signature);
+        }
+    });
+    
+    socket.on('error', (error) => {
+        console.log(`⚠️ Graduation detector socket error: ${error.message}`);
+    });
+    
+    socket.on('close', () => {
+        clearInterval(pingTimer);
+        graduationDetectorStats.connected = false;
+        if (graduationSocket !== socket) return;
+        console.log(`🔌 Graduation detector disconnected - reconnecting in ${graduationReconnectDelay / 1000}s`);
+        setTimeout(connectGraduationDetector, graduationReconnectDelay);
+        graduationReconnectDelay = Math.min(graduationReconnectDelay * 2, GRADUATION_WS_MAX_BACKOFF);
+    });
+}
+
+// Detections still inside the retention window
+function getDetectedGraduations() {
+    const cutoff = Date.now() - GRADUATION_DETECTION_TTL;
+    for (const [mint, graduation] of graduationDetections) {
+        if (new Date(graduation.graduatedAt).getTime() < cutoff) graduationDetections.delete(mint);
+    }
+    return Array.from(graduationDetections.values());
+}
+
+// Moralis graduated-token list (optional backfill) - [] when not configured or on error
+async function fetchMoralisGraduations() {
+    const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
+    if (!MORALIS_API_KEY) return [];
+    
+    try {
+        console.log('🔍 Fetching graduated Pump.fun tokens from Moralis...');
+        
+        // Moralis Solana API - Get graduated tokens
+        // Docs: https://docs.moralis.com/web3-data-api/solana/reference/token-api#get-graduated-tokens-by-exchange
+        // Use "pumpfun" as the exchange identifier (Pump.fun tokens that completed bonding curve)
+        // Add order param to try to get most recent first
+        const response = await limitedFetch('moralis', 'https://solana-gateway.moralis.io/token/mainnet/exchange/pumpfun/graduated?order=DESC', {
+            headers: {
+                'Accept': 'application/json',
+                'X-API-Key': MORALIS_API_KEY,
+                'Cache-Control': 'no-cache'
+            }
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Moralis API returned ${response.status}: ${errorText}`);
+            return [];
+        }
+        
+        const data = await response.json();
+        
+        // Handle different possible response formats
+        if (Array.isArray(data)) return data;
+        if (Array.isArray(data.tokens)) return data.tokens;
+        if (Array.isArray(data.result)) return data.result;
+        if (Array.isArray(data.data)) return data.data;
+        return [];
+        
+    } catch (error) {
+        console.error('❌ Moralis graduations error:', error.message);
+        return [];
+    }
+}
+
+// One entry per mint - Moralis fills in metadata, the on-chain detection keeps the exact graduation time
+function mergeGraduations(detected, moralisTokens) {
+    const merged = new Map();
+    for (const token of moralisTokens) {
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        if (address) merged.set(address, token);
+    }
+    for (const graduation of detected) {
+        const existing = merged.get(graduation.tokenAddress);
+        merged.set(graduation.tokenAddress, existing
+            ? { ...existing, graduatedAt: graduation.graduatedAt, signature: graduation.signature, detectedBy: 'websocket' }
+            : graduation);
+    }
+    return Array.from(merged.values());
+}
+
+connectGraduationDetector();
+
+// Detector health
+app.get('/api/metrics/graduation-detector', (req, res) => {
+    res.json({
+        success: true,
+        enabled: !!HELIUS_WS_URL,
+        ...graduationDetectorStats,
+        tracked: graduationDetections.size,
+        moralisBackfill: !!process.env.MORALIS_API_KEY
+    });
+});
+
+// ✅ REMOVED: seenTokens global dedup - let frontend handle it!
+// const seenTokens = new Set();
+
+// Clean up old seen tokens every hour to prevent memory bloat
+// ✅ REMOVED: No longer needed without seenTokens
+/*
+setInterval(() => {
+    if (seenTokens.size > 1000) {
+        console.log(`🧹 Cleaning up seen tokens cache (${seenTokens.size} entries)`);
+        seenTokens.clear();
+    }
+}, 60 * 60 * 1000); // Every hour
+*/
+
+// ==========================================
+// LAUNCH FILTERS & SORTING
+// ==========================================
+
+// Query parameters for /api/live-launches and /api/all-launches, e.g.
+//   ?source=Bags,Pump&minLiquidity=5000&maxAgeMinutes=30&excludeBundled=true&sort=marketCap&order=desc
+// Min/max filters drop tokens whose value isn't known; exclude flags only drop tokens known to be flagged.
+const LAUNCH_NUMBER_FILTERS = {
+    minLiquidity: launch => launch.liquidity,
+    maxLiquidity: launch => launch.liquidity,
+    minMarketCap: launch => launch.marketCap,
+    maxMarketCap: launch => launch.marketCap,
+    maxAgeMinutes: launch => launchAgeMinutes(launch),
+    maxTopHoldersPercent: launch => parsePercent(launch.topHoldersPercent), // '25.35%' strings
+    maxCreatorPercent: launch => parsePercent(launch.creatorPercent),
+    maxRisk: launch => launch.trakrRisk?.score
+};
+const LAUNCH_FLAG_FILTERS = ['excludeBundled', 'excludeCreatorRugged', 'requireSocials', 'requireWebsite'];
+// Filters answerable from the listing alone - checked before any enrichment work
+const LAUNCH_LISTING_FILTERS = ['sources', 'minLiquidity', 'maxLiquidity', 'minMarketCap', 'maxMarketCap', 'maxAgeMinutes'];
+
+// sort value -> [value getter, default order]; age asc = newest first, risk asc = safest first
+const LAUNCH_SORTS = {
+    age: [launch => launchAgeMinutes(launch), 'asc'],
+    marketCap: [launch => launch.marketCap, 'desc'],
+    liquidity: [launch => launch.liquidity, 'desc'],
+    risk: [launch => launch.trakrRisk?.score, 'asc']
+};
+
+// Minutes since graduation (Pump) / creation (launchpads); null when there's no timestamp
+function launchAgeMinutes(launch, now = Date.now()) {
+    if (typeof launch.ageMinutes === 'number') return launch.ageMinutes;
+    const at = launch.graduatedAt || launch.createdAt;
+    if (!at) return null;
+    const time = typeof at === 'number' ? at : new Date(at).getTime();
+    return Number.isFinite(time) ? Math.floor((now - time) / (1000 * 60)) : null;
+}
+
+// Returns { filters, sort } or { error } for a 400
+function parseLaunchQuery(query, defaultSort = null) {
+    const filters = {
+        sources: query.source
+            ? query.source.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+            : null
+    };
+
+    for (const key of Object.keys(LAUNCH_NUMBER_FILTERS)) {
+        if (query[key] === undefined || query[key] === '') continue;
+        const value = parseFloat(query[key]);
+        if (!Number.isFinite(value)) {
+            return { error: `${key} must be a number` };
+        }
+        filters[key] = value;
+    }
+
+    for (const key of LAUNCH_FLAG_FILTERS) {
+        if (query[key] === 'true' || query[key] === '1') filters[key] = true;
+    }
+
+    const field = query.sort || defaultSort;
+    if (field && !LAUNCH_SORTS[field]) {
+        return { error: `Unknown sort "${field}" - use one of: ${Object.keys(LAUNCH_SORTS).join(', ')}` };
+    }
+    const order = query.order || (field ? LAUNCH_SORTS[field][1] : null);
+    if (order && !['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc' };
+    }
+
+    return { filters, sort: field ? { field, order } : null };
+}
+
+function matchesLaunchFilters(launch, filters) {
+    if (filters.sources && !filters.sources.includes((launch.source || '').toLowerCase())) return false;
+
+    for (const [key, getValue] of Object.entries(LAUNCH_NUMBER_FILTERS)) {
+        if (filters[key] === undefined) continue;
+        const value = getValue(launch);
+        if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+        if (key.startsWith('min') ? value < filters[key] : value > filters[key]) return false;
+    }
+
+    if (filters.excludeBundled && launch.bundleDetection?.isBundled) return false;
+    if (filters.excludeCreatorRugged && launch.creatorHasRugged) return false;
+    if (filters.requireSocials && !launch.hasSocials) return false;
+    if (filters.requireWebsite && !launch.hasWebsite) return false;
+
+    return true;
+}
+
+// Just the listing-only filters (see LAUNCH_LISTING_FILTERS) of a parsed filter set
+function listingLaunchFilters(filters) {
+    return Object.fromEntries(Object.entries(filters).filter(([key]) => LAUNCH_LISTING_FILTERS.includes(key)));
+}
+
+// Filter, then sort (tokens missing the sort value go last either way)
+function applyLaunchQuery(launches, { filters, sort }) {
+    const matched = launches.filter(launch => matchesLaunchFilters(launch, filters));
+    if (!sort) return matched;
+
+    const [getValue] = LAUNCH_SORTS[sort.field];
+    const direction = sort.order === 'desc' ? -1 : 1;
+    return matched
+        .map(launch => ({ launch, value: getValue(launch) }))
+        .sort((a, b) => {
+            const aKnown = typeof a.value === 'number';
+            const bKnown = typeof b.value === 'number';
+            if (!aKnown || !bKnown) return aKnown === bKnown ? 0 : (aKnown ? -1 : 1);
+            return (a.value - b.value) * direction;
+        })
+        .map(entry => entry.launch);
+}
+
+// Middleware: parse the launch query into req.launchQuery (400 on bad values)
+function withLaunchQuery(defaultSort = null) {
+    return (req, res, next) => {
+        const parsed = parseLaunchQuery(req.query, defaultSort);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error,
+                filters: ['source', ...Object.keys(LAUNCH_NUMBER_FILTERS), ...LAUNCH_FLAG_FILTERS],
+                sorts: Object.keys(LAUNCH_SORTS)
+            });
+        }
+        req.launchQuery = parsed;
+        next();
+    };
+}
+
+// Build the live launch list: recent Pump.fun graduations + DBC launches, fully enriched
+// Shared by /api/live-launches and the launch ingestion job - returns the response body
+async function collectLiveLaunches(riskProfile = DEFAULT_BUNDLE_RISK_PROFILE) {
+    // On-chain detections first - Moralis (if configured) backfills anything the WebSocket missed
+    const moralisTokens = await fetchMoralisGraduations();
+    const tokens = mergeGraduations(getDetectedGraduations(), moralisTokens);
+    
+    console.log(`📊 ${tokens.length} graduated tokens (${graduationDetections.size} detected on-chain, ${moralisTokens.length} from Moralis)`);
+    
+    // DEBUG: Log first token to see actual field names and values
+    if (tokens.length > 0) {
+        console.log('🔍 SAMPLE TOKEN:', JSON.stringify(tokens[0], null, 2));
+    }
+    
+    if (tokens.length === 0) {
+        return {
+            success: true,
+            launches: [],
+            totalScanned: 0,
+            count: 0,
+            sourceCounts: countLaunchesBySource([]),
+            timestamp: new Date().toISOString(),
+            message: 'No graduated tokens found',
+            scamFilterRate: '0%'
+        };
+    }
+    
+    // Filter to tokens graduated in the last 10 minutes
+    // Moralis API has some delay, so 2 minutes was too tight
+    // Frontend handles per-user first load logic (marks as seen, only shows truly new)
+    const currentCheckTime = Date.now();
+    const maxAgeMinutes = 10;
+    const cutoffTime = currentCheckTime - (maxAgeMinutes * 60 * 1000);
+    
+    console.log(`⏰ Showing graduations from last ${maxAgeMinutes} minutes`);
+    console.log(`⏰ Cutoff: ${new Date(cutoffTime).toISOString()}`);
+    
+    let includedCount = 0;
+    let skippedCount = 0;
+    let noTimestampCount = 0;
+    
+    const newGraduations = tokens.filter(token => {
+        // Must have address
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        if (!address) return false;
+        
+        // Get graduation timestamp - Moralis uses 'graduatedAt'
+        const graduatedAt = token.graduatedAt || token.graduated_at;
+        
+        if (!graduatedAt) {
+            noTimestampCount++;
+            return false; // Skip if no timestamp
+        }
+        
+        // Parse timestamp
+        const graduatedTime = new Date(graduatedAt).getTime();
+        
+        // Debug first few
+        if (includedCount + skippedCount < 3) {
+            console.log(`🔍 Token ${address.slice(0,8)}: graduatedAt=${graduatedAt}, age=${Math.floor((currentCheckTime - graduatedTime) / 60000)} min`);
+        }
+        
+        // Only include if graduated within maxAgeMinutes
+        if (graduatedTime < cutoffTime) {
+            skippedCount++;
+            return false;
+        }
+        
+        includedCount++;
+        return true;
+    });
+    
+    console.log(`✅ ${newGraduations.length} graduations in last ${maxAgeMinutes} min (${skippedCount} older, ${noTimestampCount} no timestamp)`);
+    
+    // Tell stream subscribers before the (slow) enrichment starts
+    for (const token of newGraduations) {
+        launchEvents.emit('detected', {
+            contract: token.address || token.mint || token.token_address || token.tokenAddress,
+            symbol: token.symbol || null,
+            name: token.name || null,
+            source: 'Pump',
+            graduatedAt: token.graduatedAt || token.graduated_at || null
+        });
+    }
+    
+    // Process all new graduations (should be small number in 1-min window)
+    // Fetch RugCheck + Bundle + DexScreener data IN PARALLEL for each token
+    // RugCheck is sequential (rate limited), Bundle + DexScreener run in parallel alongside
+    console.log(`📊 Fetching RugCheck + Bundle + DexScreener data for ${newGraduations.length} tokens...`);
+    const rugCheckMap = new Map();
+    const bundleMap = new Map();
+    const dexScreenerMap = new Map();
+    const mintSecurityMap = new Map();
+    const socialMap = new Map();
+    
+    // Start ALL bundle checks in parallel (Helius has generous rate limits)
+    const bundlePromises = newGraduations.map(async (token) => {
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        try {
+            const bundleData = await fetchBundleData(address);
+            bundleMap.set(address, bundleData);
+            // The stream is always scored with the default bundle risk profile
+            launchEvents.emit('enrichment', { contract: address, bundleDetection: formatBundleDetection(applyBundleRiskProfile(bundleData, DEFAULT_BUNDLE_RISK_PROFILE)) });
+        } catch (err) {
+            console.log(`⚠️ Bundle check failed for ${address.slice(0, 8)}: ${err.message}`);
+            bundleMap.set(address, null);
+        }
+    });
+    
+    // Mint account checks alongside the bundle checks
+    const mintSecurityPromises = newGraduations.map(async (token) => {
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        mintSecurityMap.set(address, await fetchMintSecurity(address));
+    });
+    
+    // Metadata socials + X account + link reuse
+    const socialPromises = newGraduations.map(async (token) => {
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        socialMap.set(address, await fetchSocialLinks(address));
+    });
+    
+    // Batch DexScreener fetch for all tokens (up to 30 per call)
+    const dexScreenerPromise = (async () => {
+        const addresses = newGraduations.map(token => 
+            token.address || token.mint || token.token_address || token.tokenAddress
+        );
+        
+        const markets = await fetchDexScreenerMarkets(addresses);
+        for (const [addr, market] of markets) dexScreenerMap.set(addr, market);
+        console.log(`📊 DexScreener: Got data for ${dexScreenerMap.size}/${addresses.length} tokens`);
+    })();
+    
+    // RugCheck calls queue up behind the rugcheck rate limiter while bundles + dexscreener run in parallel
+    const rugCheckPromise = (async () => {
+        for (const token of newGraduations) {
+            const address = token.address || token.mint || token.token_address || token.tokenAddress;
+            try {
+                const rugCheckData = await fetchRugCheckData(address);
+                rugCheckMap.set(address, rugCheckData);
+                launchEvents.emit('enrichment', { contract: address, ...rugCheckLaunchFields(rugCheckData) });
+            } catch (err) {
+                console.log(`⚠️ RugCheck failed for ${address.slice(0, 8)}: ${err.message}`);
+                rugCheckMap.set(address, null);
+            }
+        }
+    })();
+    
+    // Wait for ALL to complete
+    await Promise.all([rugCheckPromise, dexScreenerPromise, ...bundlePromises, ...mintSecurityPromises, ...socialPromises]);
+    
+    // LP burn/lock status needs the RugCheck markets, so it runs after
+    const lpStatusMap = new Map();
+    await Promise.all(newGraduations.map(async (token) => {
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        lpStatusMap.set(address, await fetchLpStatus(address, rugCheckMap.get(address)));
+    }));
+    
+    console.log(`✅ RugCheck + Bundle + DexScreener complete: ${rugCheckMap.size} rugchecks, ${bundleMap.size} bundles, ${dexScreenerMap.size} dexscreener`);
+    
+    // Format results with RugCheck + Bundle + DexScreener data
+    const formatted = newGraduations.map(token => {
+        const address = token.address || token.mint || token.token_address || token.tokenAddress;
+        const graduatedAt = token.graduated_at || token.graduatedAt || token.migration_timestamp || token.timestamp;
+        const rugCheck = rugCheckMap.get(address);
+        const bundle = applyBundleRiskProfile(bundleMap.get(address), riskProfile);
+        const dexData = dexScreenerMap.get(address);
+        const mintSecurity = mintSecurityMap.get(address) || null;
+        const lpStatus = lpStatusMap.get(address) || null;
+        const socialLinks = socialMap.get(address) || null;
+        
+        const ageMinutes = graduatedAt 
+            ? Math.floor((currentCheckTime - (typeof graduatedAt === 'number' ? graduatedAt : new Date(graduatedAt).getTime())) / (1000 * 60))
+            : 0;
+        
+        const launch = {
+            symbol: token.symbol || 'UNKNOWN',
+            name: token.name || 'Unknown Token',
+            contract: address,
+            ageMinutes: ageMinutes,
+            liquidity: dexData?.liquidity || token.liquidity || token.reserve_in_usd || token.raydium_liquidity || 0,
+            price: dexData?.price || token.priceUsd || token.price_usd || token.price || token.priceNative || 0,
+            dex: 'raydium',
+            hasLogo: !!token.logo || !!token.image_uri || !!token.logoURI,
+            hasWebsite: !!token.website || !!socialLinks?.hasWebsite,
+            hasSocials: !!(token.twitter || token.telegram) || !!socialLinks?.hasSocials,
+            website: token.website || socialLinks?.website || null,
+            socialLinks: socialLinks,
+            dexscreenerUrl: `https://dexscreener.com/solana/${address}`,
+            jupiterUrl: `https://jup.ag/?sell=So11111111111111111111111111111111111111112&buy=${address}`,
+            raydiumUrl: `https://raydium.io/swap/?inputCurrency=sol&outputCurrency=${address}`,
+            priceChange: {
+                m5: token.priceChange5m || token.price_change_5m || token.priceChange?.['5m'] || 0,
+                h1: token.priceChange1h || token.price_change_1h || token.priceChange?.['1h'] || 0
+            },
+            graduated: true,
+            // Already graduated - the curve is closed, so there is nothing to read
+            ...curveLaunchFields(null),
+            marketCap: dexData?.marketCap || token.market_cap || token.marketCap || 0,
+            graduatedAt: graduatedAt, // Include timestamp
+            // RugCheck data
+            rugCheckScore: rugCheck?.score || 0,
+            topHoldersPercent: rugCheck?.top10Percent || null,
+            creatorAddress: rugCheck?.creator || null,
+            creatorPercent: rugCheck?.creatorPercent || null,
+            holderDataSource: rugCheck?.source || null, // 'rugcheck' or 'onchain' fallback
+            excludedHolders: rugCheck?.excludedHolders || null, // LP / CEX / burn / locker holders left out, per category
+            creatorHasRugged: rugCheck?.creatorHasRugged || false,
+            rugCheckRisks: rugCheck?.risks || [],
+            isRugged: rugCheck?.rugged || false,
+            // Bundle Detection data
+            bundleDetection: formatBundleDetection(bundle),
+            // Mint account checks (authorities, Token-2022 extensions)
+            mintSecurity: mintSecurity,
+            // LP burned / locked / wallet-held split
+            lpStatus: lpStatus,
+            // Source identifier
+            source: 'Pump'
+        };
+        
+        // Combined Trakr risk score
+        launch.trakrRisk = computeTrakrRisk({ rugCheck, bundle, market: launch, mintSecurity });
+        
+        if (riskProfile === DEFAULT_BUNDLE_RISK_PROFILE) launchEvents.emit('enriched', launch);
+        return launch;
+    });
+    
+    // ==========================================
+    // ALSO FETCH BAGS.FM DBC LAUNCHES
+    // ==========================================
+    let bagsFormatted = [];
+    try {
+        const bagsLaunches = await fetchBagsLaunches();
+        console.log(`🛍️ Found ${bagsLaunches.length} Bags.fm launches`);
+        
+        // Fetch RugCheck for Bags tokens IN PARALLEL (limit to 10)
+        const bagsToProcess = bagsLaunches.slice(0, 10);
+        for (const token of bagsToProcess) {
+            launchEvents.emit('detected', {
+                contract: token.contract,
+                symbol: token.symbol || null,
+                name: token.name || null,
+                source: token.source || 'Bags',
+                graduatedAt: token.createdAt || null
+            });
+        }
+        const rugCheckPromises = bagsToProcess.map(async (token) => {
+            try {
+                const [rugCheck, mintSecurity, bundle, socialLinks] = await Promise.all([
+                    fetchRugCheckData(token.contract),
+                    fetchMintSecurity(token.contract),
+                    fetchBundleData(token.contract, false, PRIORITY.NORMAL, 'dbc'),
+                    fetchSocialLinks(token.contract, token.dbcPool?.uri)
+                ]);
+                return { token, rugCheck, mintSecurity, bundle: applyBundleRiskProfile(bundle, riskProfile), socialLinks };
+            } catch (err) {
+                console.log(`⚠️ RugCheck failed for Bags token ${token.contract.slice(0,8)}`);
+                return { token, rugCheck: null, mintSecurity: null, bundle: null, socialLinks: null };
+            }
+        });
         
-        // Get the first pair (most liquid)
-        const pair = data.pairs?.[0];
-        if (!pair) {
-            console.log(`⚠️ No pairs found on DexScreener for ${tokenMint.slice(0, 8)}`);
-            return null;
+        const rugCheckResults = await Promise.all(rugCheckPromises);
+        
+        for (const { token, rugCheck, mintSecurity, bundle, socialLinks } of rugCheckResults) {
+            const createdTime = token.createdAt ? new Date(token.createdAt).getTime() : currentCheckTime;
+            const ageMinutes = Math.floor((currentCheckTime - createdTime) / (1000 * 60));
+            
+            const launch = {
+                symbol: token.symbol,
+                name: token.name,
+                contract: token.contract,
+                ageMinutes: token.ageMinutes || ageMinutes,
+                liquidity: token.liquidity || 0,
+                price: token.price || 0,
+                dex: token.dex || 'meteora',
+                hasLogo: true,
+                hasWebsite: socialLinks?.hasWebsite || false,
+                hasSocials: socialLinks?.hasSocials || false,
+                website: socialLinks?.website || null,
+                socialLinks: socialLinks,
+                dexscreenerUrl: token.dexscreenerUrl,
+                jupiterUrl: token.jupiterUrl,
+                ...launchpadUrlFields(getLaunchpadByName(token.source), token.contract),
+                priceChange: token.priceChange || { m5: 0, h1: 0 },
+                graduated: false, // Still on bonding curve
+                ...curveLaunchFields(token.bondingCurve),
+                marketCap: token.marketCap || 0,
+                graduatedAt: token.createdAt,
+                // RugCheck data
+                rugCheckScore: rugCheck?.score || 0,
+                topHoldersPercent: rugCheck?.top10Percent || null,
+                creatorAddress: rugCheck?.creator || token.creator || null,
+                creatorPercent: rugCheck?.creatorPercent || null,
+                holderDataSource: rugCheck?.source || null,
+                excludedHolders: rugCheck?.excludedHolders || null,
+                creatorHasRugged: rugCheck?.creatorHasRugged || false,
+                rugCheckRisks: rugCheck?.risks || [],
+                isRugged: rugCheck?.rugged || false,
+                // Decoded pool-creation data (config, curve parameters)
+                dbcPool: token.dbcPool || null,
+                // Bundle detection on the DBC bonding curve
+                bundleDetection: formatBundleDetection(bundle),
+                // Mint account checks (authorities, Token-2022 extensions)
+                mintSecurity: mintSecurity,
+                // Source identifier - use actual source from token
+                source: token.source || 'Bags'
+            };
+            
+            // Combined Trakr risk score
+            launch.trakrRisk = computeTrakrRisk({ rugCheck, bundle, market: launch, mintSecurity });
+            
+            if (riskProfile === DEFAULT_BUNDLE_RISK_PROFILE) launchEvents.emit('enriched', launch);
+            bagsFormatted.push(launch);
         }
+    } catch (bagsError) {
+        console.log(`⚠️ Bags fetch error (continuing without): ${bagsError.message}`);
+    }
+    
+    // Combine Pump.fun + Bags launches
+    const allLaunches = [...formatted, ...bagsFormatted];
+    
+    // Creator ledger + reputation summaries
+    await attachCreatorReputations(allLaunches);
+    console.log(`✅ Total launches: ${formatted.length} Pump + ${bagsFormatted.length} Bags = ${allLaunches.length}`);
+    
+    return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        totalScanned: tokens.length,
+        launches: allLaunches,
+        // count, pumpCount / bagsCount / ... and sourceCounts for every registered launchpad
+        ...launchCountFields(allLaunches),
+        message: 'Pump.fun graduations + launchpad launches',
+        scamFilterRate: `${tokens.length > 0 ? ((1 - formatted.length / tokens.length) * 100).toFixed(1) : '0'}%`
+    };
+}
 
-        const metadata = {
-            symbol: pair.baseToken?.symbol || 'UNKNOWN',
-            name: pair.baseToken?.name || 'Unknown Token',
-            price: parseFloat(pair.priceUsd) || 0,
-            liquidity: pair.liquidity?.usd || 0,
-            marketCap: pair.marketCap || pair.fdv || 0,
-            priceChange5m: pair.priceChange?.m5 || 0,
-            priceChange1h: pair.priceChange?.h1 || 0,
-            pairAddress: pair.pairAddress,
-            dexId: pair.dexId,
-            createdAt: pair.pairCreatedAt
+app.get('/api/live-launches', withBundleRiskProfile, withLaunchQuery(), async (req, res) => {
+    try {
+        const body = await collectLiveLaunches(req.riskProfile);
+        
+        // Counts describe what's returned; unfilteredCount is the whole window
+        const launches = applyLaunchQuery(body.launches, req.launchQuery);
+        res.json({
+            ...body,
+            launches: launches,
+            ...launchCountFields(launches),
+            unfilteredCount: body.launches.length,
+            query: req.launchQuery
+        });
+    } catch (error) {
+        console.error('❌ Live Launches API error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ==========================================
+// BONDING CURVE PROGRESS
+// ==========================================
+
+// Reads the pre-graduation curve state (DBC VirtualPool / Pump.fun BondingCurve) and estimates time to
+// graduate from the inflow seen across recent reads. Tracked tokens are re-read in the background so
+// the ETA has samples to work from and threshold crossings fire even with no client polling.
+const CURVE_PROGRESS_CACHE_TTL = 15 * 1000;
+const CURVE_INFLOW_WINDOW = 10 * 60 * 1000; // ETA uses inflow over the last 10 minutes
+const CURVE_MIN_SAMPLE_SPAN = 30 * 1000; // Need at least 30s between samples for a rate
+const CURVE_TRACK_TTL = 2 * 60 * 60 * 1000; // Past the live window by then
+const CURVE_TRACK_MAX = 100; // Tokens re-read per background pass
+
+// Progress levels that fire a 'curveThreshold' event, e.g. CURVE_PROGRESS_THRESHOLDS=50,80,95
+const CURVE_PROGRESS_THRESHOLDS = (process.env.CURVE_PROGRESS_THRESHOLDS || '80')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => value > 0 && value <= 100)
+    .sort((a, b) => a - b);
+
+const DBC_VIRTUAL_POOL_DISCRIMINATOR = 'd5e005d16245775c';
+const DBC_VIRTUAL_POOL_SIZE = 424;
+const PUMP_INITIAL_REAL_TOKEN_RESERVES = 793100000000000n; // 793.1M tokens (6 decimals) sold on the curve
+const QUOTE_MINT_DECIMALS = {
+    [WSOL_MINT]: 9,
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 6 // USDC
+};
+
+// Program-derived addresses must be off the ed25519 curve
+const ED25519_P = 2n ** 255n - 19n;
+const ED25519_D = 37095705934669439343138083508754565189542113879843219016388785533085940283555n;
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % modulus;
+        base = base * base % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+function isOnEd25519Curve(bytes) {
+    let y = 0n;
+    for (let i = 31; i >= 0; i--) y = (y << 8n) | BigInt(bytes[i]);
+    const sign = y >> 255n;
+    y &= (1n << 255n) - 1n;
+    if (y >= ED25519_P) return false;
+
+    // x^2 = (y^2 - 1) / (d*y^2 + 1) - a point exists when that has a square root
+    const y2 = y * y % ED25519_P;
+    const u = (y2 - 1n + ED25519_P) % ED25519_P;
+    const v = (ED25519_D * y2 + 1n) % ED25519_P;
+    const x2 = u * modPow(v, ED25519_P - 2n, ED25519_P) % ED25519_P;
+    if (x2 === 0n) return sign === 0n;
+    return modPow(x2, (ED25519_P - 1n) / 2n, ED25519_P) === 1n;
+}
+
+function findProgramAddress(seeds, programId) {
+    const programBytes = base58Decode(programId);
+    for (let bump = 255; bump >= 0; bump--) {
+        const hash = crypto.createHash('sha256')
+            .update(Buffer.concat([...seeds, Buffer.from([bump]), programBytes, Buffer.from('ProgramDerivedAddress')]))
+            .digest();
+        if (!isOnEd25519Curve(hash)) return base58Encode(hash);
+    }
+    throw new Error('No viable program address bump');
+}
+
+function pumpBondingCurveAddress(mint) {
+    return findProgramAddress([Buffer.from('bonding-curve'), base58Decode(mint)], PUMP_FUN_PROGRAM);
+}
+
+async function fetchAccountData(address, priority) {
+    const result = await heliusRpc('getAccountInfo', [address, { encoding: 'base64' }], priority);
+    const raw = result?.value?.data?.[0];
+    return raw ? Buffer.from(raw, 'base64') : null;
+}
+
+// Pool address for a DBC mint - from the watcher when we saw the creation, otherwise by base_mint
+async function findDbcPoolAddress(mint, priority) {
+    const known = dbcPoolLaunches.get(mint)?.pool;
+    if (known) return known;
+
+    const accounts = await heliusRpc('getProgramAccounts', [METEORA_DBC_PROGRAM, {
+        encoding: 'base64',
+        dataSlice: { offset: 0, length: 0 },
+        filters: [
+            { dataSize: DBC_VIRTUAL_POOL_SIZE },
+            { memcmp: { offset: 136, bytes: mint } } // VirtualPool.base_mint
+        ]
+    }], priority);
+    return accounts?.[0]?.pubkey || null;
+}
+
+// Raw amounts -> { raised, remaining, progress } in whole quote units
+function curveAmounts(raisedRaw, remainingRaw, progressPercent, decimals) {
+    const scale = decimals !== null ? 10 ** decimals : null;
+    return {
+        progress: Math.min(100, Math.max(0, progressPercent)),
+        raised: scale ? Number(raisedRaw) / scale : null,
+        remaining: scale ? Number(remainingRaw > 0n ? remainingRaw : 0n) / scale : null
+    };
+}
+
+async function readDbcCurve(mint, priority) {
+    const poolAddress = await findDbcPoolAddress(mint, priority);
+    if (!poolAddress) return null;
+
+    const data = await fetchAccountData(poolAddress, priority);
+    if (!data || data.length < DBC_VIRTUAL_POOL_SIZE || data.subarray(0, 8).toString('hex') !== DBC_VIRTUAL_POOL_DISCRIMINATOR) {
+        return null;
+    }
+
+    // VirtualPool offsets from the DBC IDL
+    const configKey = readPubkey(data, 72);
+    const quoteReserve = data.readBigUInt64LE(240);
+    const isMigrated = data.readUInt8(305) === 1;
+
+    const config = await fetchDbcPoolConfig(configKey, priority);
+    if (!config) return null;
+
+    const threshold = BigInt(config.migrationQuoteThreshold);
+    const decimals = QUOTE_MINT_DECIMALS[config.quoteMint] ?? null;
+    const complete = isMigrated || (threshold > 0n && quoteReserve >= threshold);
+    const progress = complete ? 100 : (threshold > 0n ? Number(quoteReserve * 10000n / threshold) / 100 : 0);
+
+    return {
+        curve: 'dbc',
+        pool: poolAddress,
+        quoteMint: config.quoteMint,
+        complete: complete,
+        ...curveAmounts(quoteReserve, threshold - quoteReserve, progress, decimals)
+    };
+}
+
+async function readPumpCurve(mint, priority) {
+    const address = pumpBondingCurveAddress(mint);
+    const data = await fetchAccountData(address, priority);
+    if (!data || data.length < 49) return null;
+
+    // BondingCurve: virtual_token, virtual_sol, real_token, real_sol, total_supply (u64s), complete (bool)
+    const virtualTokenReserves = data.readBigUInt64LE(8);
+    const virtualSolReserves = data.readBigUInt64LE(16);
+    const realTokenReserves = data.readBigUInt64LE(24);
+    const realSolReserves = data.readBigUInt64LE(32);
+    const complete = data.readUInt8(48) === 1;
+
+    // SOL it takes to buy the remaining real tokens off the constant-product curve
+    const tokensAfter = virtualTokenReserves - realTokenReserves;
+    const solRemaining = !complete && tokensAfter > 0n
+        ? virtualSolReserves * virtualTokenReserves / tokensAfter - virtualSolReserves
+        : 0n;
+    const progress = complete
+        ? 100
+        : Number((PUMP_INITIAL_REAL_TOKEN_RESERVES - realTokenReserves) * 10000n / PUMP_INITIAL_REAL_TOKEN_RESERVES) / 100;
+
+    return {
+        curve: 'pump',
+        pool: address,
+        quoteMint: WSOL_MINT,
+        complete: complete,
+        ...curveAmounts(realSolReserves, solRemaining, progress, 9)
+    };
+}
+
+// contract -> { source, samples: [{ at, raised }], lastProgress, crossed: Set, trackedAt }
+const curveTracker = new Map();
+
+const curveProgressCache = createCache('curve-progress', { ttl: CURVE_PROGRESS_CACHE_TTL, persistent: false });
+
+// Inflow per minute over the sample window, and minutes to graduation at that rate
+function estimateGraduation(samples, remaining) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (!first || last.at - first.at < CURVE_MIN_SAMPLE_SPAN || last.raised === null) {
+        return { inflowPerMinute: null, etaMinutes: null };
+    }
+
+    const minutes = (last.at - first.at) / 60000;
+    const inflowPerMinute = (last.raised - first.raised) / minutes;
+    return {
+        inflowPerMinute: Math.round(inflowPerMinute * 1000) / 1000,
+        etaMinutes: inflowPerMinute > 0 && remaining !== null ? Math.ceil(remaining / inflowPerMinute) : null
+    };
+}
+
+// Record a reading for a tracked token and fire threshold events for levels it just crossed
+function trackCurveReading(contract, source, reading) {
+    let entry = curveTracker.get(contract);
+    if (!entry) {
+        entry = { source, samples: [], lastProgress: null, crossed: new Set(), trackedAt: Date.now() };
+        curveTracker.set(contract, entry);
+    }
+
+    const now = Date.now();
+    entry.samples.push({ at: now, raised: reading.raised });
+    entry.samples = entry.samples.filter(sample => now - sample.at <= CURVE_INFLOW_WINDOW);
+
+    for (const threshold of CURVE_PROGRESS_THRESHOLDS) {
+        if (entry.crossed.has(threshold) || reading.progress < threshold) continue;
+        entry.crossed.add(threshold);
+
+        // Already past it when we started tracking - not a crossing
+        if (entry.lastProgress === null) continue;
+
+        console.log(`📈 ${contract.slice(0, 8)} (${source}) crossed ${threshold}% of its bonding curve`);
+        launchEvents.emit('curveThreshold', {
+            contract,
+            source,
+            thresholdPercent: threshold,
+            curveProgressPercent: reading.progress,
+            complete: reading.complete,
+            crossedAt: new Date(now).toISOString()
+        });
+    }
+    entry.lastProgress = reading.progress;
+
+    return estimateGraduation(entry.samples, reading.remaining);
+}
+
+// Curve progress for a pre-graduation token; null when the launchpad has no readable curve
+async function fetchCurveProgress(contract, source, priority = PRIORITY.NORMAL) {
+    const curveType = getLaunchpadByName(source)?.graduation?.curve;
+    if (!HELIUS_API_KEY || !['dbc', 'pump'].includes(curveType)) return null;
+
+    const cached = await curveProgressCache.get(contract);
+    if (cached) return cached.data;
+
+    try {
+        const reading = curveType === 'dbc'
+            ? await readDbcCurve(contract, priority)
+            : await readPumpCurve(contract, priority);
+        if (!reading) return null;
+
+        const isSol = reading.quoteMint === WSOL_MINT;
+        const estimate = trackCurveReading(contract, source, reading);
+        const progress = {
+            curve: reading.curve,
+            curveAccount: reading.pool,
+            curveProgressPercent: Math.round(reading.progress * 100) / 100,
+            complete: reading.complete,
+            quoteMint: reading.quoteMint,
+            solRaised: isSol ? reading.raised : null,
+            solRemaining: isSol ? reading.remaining : null,
+            quoteRaised: reading.raised,
+            quoteRemaining: reading.remaining,
+            inflowPerMinute: estimate.inflowPerMinute,
+            etaMinutes: reading.complete ? 0 : estimate.etaMinutes,
+            checkedAt: new Date().toISOString()
         };
 
-        // Cache the result
-        bagsMetadataCache.set(tokenMint, { data: metadata, timestamp: Date.now() });
+        curveProgressCache.set(contract, progress);
+        return progress;
+    } catch (error) {
+        console.log(`⚠️ Curve progress error for ${contract.slice(0, 8)}: ${error.message}`);
+        return null;
+    }
+}
 
-        return metadata;
+// Launch fields for a curve reading (null when the curve couldn't be read)
+function curveLaunchFields(progress) {
+    return {
+        curveProgressPercent: progress?.curveProgressPercent ?? null,
+        solRaised: progress?.solRaised ?? null,
+        solRemaining: progress?.solRemaining ?? null,
+        graduationEtaMinutes: progress?.etaMinutes ?? null,
+        bondingCurve: progress || null
+    };
+}
+
+let curveRefreshRunning = false;
+
+// Background pass over tracked, unfinished curves (keeps ETA samples and threshold events flowing)
+// A slow pass (rate-limited RPC) can outlast the cron interval, so overlapping ticks are skipped
+async function refreshTrackedCurves() {
+    if (curveRefreshRunning) {
+        console.log('⏭️ Curve refresh still running - skipping this tick');
+        return;
+    }
+    curveRefreshRunning = true;
+    
+    try {
+        const cutoff = Date.now() - CURVE_TRACK_TTL;
+        const active = [];
+        for (const [contract, entry] of curveTracker) {
+            if (entry.trackedAt < cutoff || entry.lastProgress >= 100) {
+                curveTracker.delete(contract);
+                continue;
+            }
+            active.push([contract, entry]);
+        }
+        
+        // Closest to graduating first
+        active.sort((a, b) => (b[1].lastProgress || 0) - (a[1].lastProgress || 0));
+        for (const [contract, entry] of active.slice(0, CURVE_TRACK_MAX)) {
+            await fetchCurveProgress(contract, entry.source, PRIORITY.BACKGROUND);
+        }
+    } finally {
+        curveRefreshRunning = false;
+    }
+}
+
+// ==========================================
+// SOCIAL LINK ENRICHMENT
+// ==========================================
+
+// Website / X / Telegram from the token's metadata JSON, the linked X account (age, followers,
+// whether it links back to the mint) and how many other launches share the same links -
+// copy-pasted socials across launches are a common scam pattern.
+// X lookups are slow (0.5 rps) so they run in the background: the first response says 'pending'
+// and an `enrichment` event carries the account once it's in.
+const SOCIAL_LINK_REUSE_THRESHOLD = parseInt(process.env.SOCIAL_LINK_REUSE_THRESHOLD) || 3; // Distinct mints
+const X_NEW_ACCOUNT_DAYS = 7;
+
+const METADATA_MAX_BYTES = 256 * 1024; // Token metadata JSON is a few KB
+const METADATA_MAX_REDIRECTS = 3;
+
+const metadataLinksCache = createCache('metadata-links', { ttl: 60 * 60 * 1000 });
+const xAccountCache = createCache('x-accounts', { ttl: 6 * 60 * 60 * 1000, staleTtl: 18 * 60 * 60 * 1000 });
+// Handles whose lookup just failed (rate limit, API error) - not retried until this expires
+const xLookupFailureCache = createCache('x-lookup-failures', { ttl: 10 * 60 * 1000, persistent: false });
+const socialLinkReuseCache = createCache('social-link-reuse', { ttl: 5 * 60 * 1000, persistent: false });
+
+// handle -> Set of mints waiting on it
+const pendingXLookups = new Map();
+// `${mint}|${type}|${link}` rows already written by this process
+const recordedSocialLinks = new Set();
+
+function parseSocialUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    try {
+        const url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
     } catch (error) {
-        console.log(`⚠️ Metadata fetch error for ${tokenMint.slice(0, 8)}:`, error.message);
         return null;
     }
 }
 
-// Fetch new Bags.fm launches from Meteora DBC
-async function fetchBagsLaunches() {
-    if (!HELIUS_API_KEY) {
-        console.log('⚠️ HELIUS_API_KEY not set - skipping Bags DBC check');
-        return [];
+// x.com paths that aren't accounts
+const X_RESERVED_PATHS = new Set(['home', 'search', 'explore', 'intent', 'share', 'hashtag', 'messages', 'notifications', 'settings']);
+
+// x.com / twitter.com link or @handle -> { handle, kind: profile|tweet|community, link (reuse key) }
+// Tweets count towards their author's account for reuse - scam launches often share one tweet per account
+function parseXLink(value) {
+    if (typeof value === 'string' && /^@?[A-Za-z0-9_]{1,15}$/.test(value.trim())) {
+        const handle = value.trim().replace('@', '');
+        return { handle, kind: 'profile', link: `x.com/${handle.toLowerCase()}` };
+    }
+
+    const url = parseSocialUrl(value);
+    if (!url || !/^(www\.|mobile\.)?(x|twitter)\.com$/i.test(url.hostname)) return null;
+
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] === 'i') {
+        return { handle: null, kind: 'community', link: `x.com/${parts.join('/')}`.toLowerCase() };
+    }
+    if (!parts[0] || !/^[A-Za-z0-9_]{1,15}$/.test(parts[0]) || X_RESERVED_PATHS.has(parts[0].toLowerCase())) return null;
+
+    const handle = parts[0];
+    const kind = parts[1] === 'status' && parts[2] ? 'tweet' : 'profile';
+    return { handle, kind, link: `x.com/${handle.toLowerCase()}` };
+}
+
+// Host + path, lowercased, no query / trailing slash - what "the same link" means for reuse
+function socialLinkKey(value) {
+    const url = parseSocialUrl(value);
+    if (!url) return null;
+    const path = url.pathname.replace(/\/+$/, '');
+    return `${url.hostname.replace(/^www\./, '')}${path}`.toLowerCase();
+}
+
+function metadataFetchUrl(uri) {
+    if (uri.startsWith('ipfs://')) return `https://ipfs.io/ipfs/${uri.slice(7)}`;
+    if (uri.startsWith('ar://')) return `https://arweave.net/${uri.slice(5)}`;
+    return uri;
+}
+
+// Loopback, private, link-local, CGNAT, multicast / reserved (IPv4, IPv6 and v4-mapped IPv6)
+function isPrivateAddress(ip) {
+    const mapped = ip.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    // URL() normalises [::ffff:127.0.0.1] to [::ffff:7f00:1]
+    const mappedHex = ip.toLowerCase().match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+        const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+        return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+
+    if (net.isIPv4(ip)) {
+        const [a, b] = ip.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 198 && (b === 18 || b === 19));
+    }
+
+    const lower = ip.toLowerCase();
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+// Metadata URIs are set by whoever launched the token, so only public https hosts are fetched
+async function assertPublicMetadataUrl(url) {
+    if (url.protocol !== 'https:') {
+        throw new Error(`Metadata URI must be https (got ${url.protocol})`);
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+        throw new Error(`Metadata host ${hostname} is not public`);
+    }
+}
+
+// Connections for metadata fetches resolve the host themselves and refuse private addresses,
+// so a DNS answer that changes after assertPublicMetadataUrl can't point the socket inward
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, entries) => {
+        if (err) return callback(err);
+        if (entries.length === 0 || entries.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error(`Metadata host ${hostname} is not public`));
+        }
+        if (options.all) return callback(null, entries);
+        callback(null, entries[0].address, entries[0].family);
+    });
+}
+
+const metadataAgent = new Agent({ connect: { lookup: publicOnlyLookup } });
+
+// Body as JSON, giving up once it passes METADATA_MAX_BYTES or takes longer than timeoutMs to arrive
+async function readLimitedJson(response, timeoutMs) {
+    if (parseInt(response.headers.get('content-length')) > METADATA_MAX_BYTES) {
+        throw new Error('Metadata JSON too large');
     }
 
+    const reader = response.body.getReader();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        reader.cancel().catch(() => {});
+    }, timeoutMs);
+
     try {
-        console.log('🛍️ Fetching Bags.fm DBC launches from Helius...');
+        const chunks = [];
+        let size = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            size += value.length;
+            if (size > METADATA_MAX_BYTES) {
+                reader.cancel().catch(() => {});
+                throw new Error('Metadata JSON too large');
+            }
+            chunks.push(Buffer.from(value));
+        }
+        if (timedOut) throw new Error('Metadata body timed out');
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
-        // Get recent transactions on the Meteora DBC program
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 8000); // 8s timeout
+// Fetch the metadata JSON, re-checking the host on every redirect hop
+async function fetchMetadataJson(uri, priority) {
+    let url = parseSocialUrl(metadataFetchUrl(uri));
+    if (!url || !/^(https?|ipfs|ar):\/\//i.test(uri)) {
+        throw new Error('Unsupported metadata URI');
+    }
 
-        const response = await fetch(
-            `${HELIUS_API_URL}/addresses/${METEORA_DBC_PROGRAM}/transactions?api-key=${HELIUS_API_KEY}&limit=20`,
-            { signal: controller.signal }
-        );
-        clearTimeout(timeout);
+    for (let hop = 0; hop <= METADATA_MAX_REDIRECTS; hop++) {
+        await assertPublicMetadataUrl(url);
+        const response = await limitedFetch('metadata', url.href, { redirect: 'manual', dispatcher: metadataAgent }, { priority, timeoutMs: 5000 });
 
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+            // Let go of the redirect body so the connection isn't held open while we follow it
+            await response.body?.cancel().catch(() => {});
+            url = new URL(response.headers.get('location'), url);
+            continue;
+        }
         if (!response.ok) {
-            console.log(`⚠️ Helius DBC API ${response.status}`);
-            return [];
+            await response.body?.cancel().catch(() => {});
+            throw new Error(`Metadata URI returned ${response.status}`);
         }
+        return readLimitedJson(response, 5000);
+    }
+    throw new Error('Too many metadata redirects');
+}
 
-        const transactions = await response.json();
-        console.log(`📊 Helius returned ${transactions.length} DBC transactions`);
+// Links from the metadata JSON (uri from the decoded DBC pool, otherwise Helius DAS)
+async function fetchMetadataLinks(mint, uri, priority) {
+    const cached = await metadataLinksCache.get(mint);
+    if (cached) return cached.data;
 
-        if (!transactions || transactions.length === 0) {
-            return [];
-        }
+    let metadataUri = uri;
+    if (!metadataUri && HELIUS_API_KEY) {
+        const asset = await heliusRpc('getAsset', { id: mint }, priority).catch(() => null);
+        metadataUri = asset?.content?.json_uri || null;
+    }
+    if (!metadataUri) return null;
 
-        // Extract unique token mints from transactions (Map: mint -> source)
-        const potentialTokens = new Map();
+    const json = await fetchMetadataJson(metadataUri, priority);
+    const extensions = json.extensions || {};
 
-        for (const tx of transactions) {
-            // Look for token mints in the transaction
-            // Check tokenTransfers
-            if (tx.tokenTransfers) {
-                for (const transfer of tx.tokenTransfers) {
-                    if (transfer.mint) {
-                        const source = getDBCTokenSource(transfer.mint);
-                        if (source) potentialTokens.set(transfer.mint, source);
-                    }
-                }
-            }
+    const links = {
+        uri: metadataUri,
+        website: json.website || extensions.website || json.external_url || null,
+        twitter: json.twitter || extensions.twitter || json.x || null,
+        telegram: json.telegram || extensions.telegram || null
+    };
+    metadataLinksCache.set(mint, links);
+    return links;
+}
 
-            // Check account data
-            if (tx.accountData) {
-                for (const account of tx.accountData) {
-                    if (account.account) {
-                        const source = getDBCTokenSource(account.account);
-                        if (source) potentialTokens.set(account.account, source);
-                    }
-                }
+// Profile + pinned tweet in one call; `linkText` is what we search for the mint
+async function lookupXAccount(handle, priority) {
+    const params = new URLSearchParams({
+        'user.fields': 'created_at,public_metrics,description,entities,url,verified',
+        'expansions': 'pinned_tweet_id',
+        'tweet.fields': 'text,entities'
+    });
+    const response = await limitedFetch('x',
+        `${TWITTER_BASE_URL}/users/by/username/${handle}?${params}`,
+        {
+            headers: {
+                'Authorization': `Bearer ${TWITTER_BEARER_TOKEN}`
             }
+        },
+        { priority }
+    );
 
-            // Check instructions for any addresses ending in BAGS or brrr
-            if (tx.instructions) {
-                for (const ix of tx.instructions) {
-                    if (ix.accounts) {
-                        for (const acc of ix.accounts) {
-                            const source = getDBCTokenSource(acc);
-                            if (source) potentialTokens.set(acc, source);
-                        }
-                    }
-                }
-            }
+    if (!response.ok) {
+        throw new Error(`X lookup for @${handle} returned ${response.status}`);
+    }
+
+    const body = await response.json();
+    const user = body.data;
+    if (!user) return { handle, found: false };
+
+    const pinned = body.includes?.tweets?.[0];
+    const expandedUrls = [
+        ...(user.entities?.url?.urls || []),
+        ...(user.entities?.description?.urls || []),
+        ...(pinned?.entities?.urls || [])
+    ].map(u => u.expanded_url || u.url);
+
+    return {
+        handle: user.username,
+        found: true,
+        id: user.id,
+        name: user.name,
+        createdAt: user.created_at || null,
+        followers: user.public_metrics?.followers_count ?? null,
+        following: user.public_metrics?.following_count ?? null,
+        verified: !!user.verified,
+        linkText: [user.description, pinned?.text, ...expandedUrls].filter(Boolean).join(' ')
+    };
+}
+
+// Cached account, or null + a background lookup that re-emits the mints' social links when done
+async function getXAccount(handle, mint) {
+    const key = handle.toLowerCase();
+    const cached = await xAccountCache.get(key);
+    if (cached) {
+        if (cached.stale) {
+            xAccountCache.revalidate(key, async () => xAccountCache.set(key, await lookupXAccount(handle, PRIORITY.BACKGROUND)));
         }
+        return cached.data;
+    }
+    if (!TWITTER_BEARER_TOKEN) return null;
+    if (await xLookupFailureCache.get(key)) return null;
 
-        console.log(`🛍️ Found ${potentialTokens.size} potential DBC tokens (Bags + Printr)`);
+    if (pendingXLookups.has(key)) {
+        pendingXLookups.get(key).add(mint);
+        return null;
+    }
+    pendingXLookups.set(key, new Set([mint]));
 
-        // Fetch metadata for each Bags token IN PARALLEL and filter by CREATION TIME
-        const bagsLaunches = [];
-        const maxAgeMinutes = 60; // Only show tokens created in last 60 minutes
-        const now = Date.now();
-        
-        // Fetch all metadata in parallel for speed
-        const metadataPromises = Array.from(potentialTokens.keys()).map(async (tokenMint) => {
-            const metadata = await fetchBagsTokenMetadata(tokenMint);
-            return { tokenMint, metadata };
-        });
-        
-        const metadataResults = await Promise.all(metadataPromises);
-        
-        for (const { tokenMint, metadata } of metadataResults) {
-            const tokenSource = potentialTokens.get(tokenMint);
-            if (metadata) {
-                // Check token age - filter out old tokens
-                const createdTime = metadata.createdAt ? new Date(metadata.createdAt).getTime() : 0;
-                const ageMinutes = createdTime ? Math.floor((now - createdTime) / (1000 * 60)) : 9999;
-                
-                if (ageMinutes > maxAgeMinutes) {
-                    console.log(`⏭️ Skipping ${metadata.symbol} - too old (${ageMinutes}m)`);
-                    continue;
-                }
-                
-                console.log(`✅ ${tokenSource} token: ${metadata.symbol} (${ageMinutes}m old)`);
-                
-                bagsLaunches.push({
-                    symbol: metadata.symbol,
-                    name: metadata.name,
-                    contract: tokenMint,
-                    price: metadata.price,
-                    liquidity: metadata.liquidity,
-                    marketCap: metadata.marketCap,
-                    priceChange: {
-                        m5: metadata.priceChange5m,
-                        h1: metadata.priceChange1h
-                    },
-                    source: tokenSource, // 'Bags', 'Printr', or 'Easy'
-                    dex: metadata.dexId || 'meteora',
-                    createdAt: metadata.createdAt,
-                    ageMinutes: ageMinutes,
-                    dexscreenerUrl: `https://dexscreener.com/solana/${tokenMint}`,
-                    bagsUrl: tokenSource === 'Bags' ? `https://bags.fm/${tokenMint}` : null,
-                    printrUrl: tokenSource === 'Printr' ? `https://printr.money/token/${tokenMint}` : null,
-                    easyUrl: tokenSource === 'Easy' ? `https://kickstart.easya.io/token/${tokenMint}` : null,
-                    jupiterUrl: `https://jup.ag/?sell=So11111111111111111111111111111111111111112&buy=${tokenMint}`
-                });
+    lookupXAccount(handle, PRIORITY.BACKGROUND)
+        .then(async (account) => {
+            xAccountCache.set(key, account);
+            for (const waitingMint of pendingXLookups.get(key) || []) {
+                launchEvents.emit('enrichment', { contract: waitingMint, socialLinks: await fetchSocialLinks(waitingMint) });
             }
-        }
+        })
+        .catch(err => {
+            xLookupFailureCache.set(key, true);
+            console.log(`⚠️ X account lookup error: ${err.message}`);
+        })
+        .finally(() => pendingXLookups.delete(key));
 
-        console.log(`🛍️ Returning ${bagsLaunches.length} fresh DBC tokens (< ${maxAgeMinutes}m old)`);
-        return bagsLaunches;
+    return null;
+}
+
+function summarizeXAccount(account, mint) {
+    const accountAgeDays = account.createdAt
+        ? Math.floor((Date.now() - new Date(account.createdAt).getTime()) / (24 * 60 * 60 * 1000))
+        : null;
+    return {
+        handle: account.handle,
+        found: account.found,
+        name: account.name || null,
+        createdAt: account.createdAt || null,
+        accountAgeDays: accountAgeDays,
+        newAccount: accountAgeDays !== null && accountAgeDays < X_NEW_ACCOUNT_DAYS,
+        followers: account.followers ?? null,
+        verified: account.verified || false,
+        linksBackToMint: account.found ? (account.linkText || '').includes(mint) : false
+    };
+}
+
+// Record this mint's links and count how many distinct mints share each one
+async function countSocialLinkReuse(mint, links) {
+    const results = [];
+    for (const { type, link } of links) {
+        const key = `${type}|${link}`;
+        try {
+            const rowKey = `${mint}|${key}`;
+            let cached = null;
+            if (!recordedSocialLinks.has(rowKey)) {
+                const { error } = await supabase
+                    .from('launch_social_links')
+                    .upsert({ mint, link_type: type, link }, { onConflict: 'mint,link_type,link', ignoreDuplicates: true });
+                if (error) throw error;
+                if (recordedSocialLinks.size > 50000) recordedSocialLinks.clear();
+                recordedSocialLinks.add(rowKey);
+            } else {
+                cached = await socialLinkReuseCache.get(key);
+            }
+
+            let mintCount = cached?.data;
+            if (mintCount === undefined) {
+                const { count, error } = await supabase
+                    .from('launch_social_links')
+                    .select('mint', { count: 'exact', head: true })
+                    .eq('link_type', type)
+                    .eq('link', link);
+                if (error) throw error;
+                mintCount = count;
+                socialLinkReuseCache.set(key, mintCount);
+            }
+            results.push({ type, link, mintCount, reused: mintCount >= SOCIAL_LINK_REUSE_THRESHOLD });
+        } catch (error) {
+            console.log(`⚠️ Social link reuse error (${key}): ${error.message}`);
+            results.push({ type, link, mintCount: null, reused: false });
+        }
+    }
+    return results;
+}
 
+// Social links for a launch; null when the metadata couldn't be read
+async function fetchSocialLinks(mint, uri = null, priority = PRIORITY.BACKGROUND) {
+    let links;
+    try {
+        links = await fetchMetadataLinks(mint, uri, priority);
     } catch (error) {
-        console.error('❌ Bags DBC fetch error:', error.message);
-        return [];
+        console.log(`⚠️ Metadata links error for ${mint.slice(0, 8)}: ${error.message}`);
+        return null;
     }
+    if (!links) return null;
+
+    const x = links.twitter ? parseXLink(links.twitter) : null;
+    const reuseKeys = [
+        links.website && { type: 'website', link: socialLinkKey(links.website) },
+        x && { type: 'x', link: x.link },
+        links.telegram && { type: 'telegram', link: socialLinkKey(links.telegram) }
+    ].filter(entry => entry && entry.link);
+
+    const [xAccount, reuse] = await Promise.all([
+        x?.handle ? getXAccount(x.handle, mint) : null,
+        countSocialLinkReuse(mint, reuseKeys)
+    ]);
+
+    let xSummary = null;
+    if (x) {
+        xSummary = xAccount
+            ? { kind: x.kind, ...summarizeXAccount(xAccount, mint) }
+            : { kind: x.kind, handle: x.handle, status: x.handle && TWITTER_BEARER_TOKEN ? 'pending' : 'unavailable' };
+    }
+
+    return {
+        website: links.website,
+        twitter: links.twitter,
+        telegram: links.telegram,
+        hasWebsite: !!links.website,
+        hasSocials: !!(links.twitter || links.telegram),
+        x: xSummary,
+        linkReuse: reuse,
+        reusedLinks: reuse.filter(entry => entry.reused).map(entry => entry.link),
+        checkedAt: new Date().toISOString()
+    };
 }
 
-// ✅ REMOVED: seenTokens global dedup - let frontend handle it!
-// const seenTokens = new Set();
+// ==========================================
+// PERSISTED LAUNCH FEED
+// ==========================================
 
-// Clean up old seen tokens every hour to prevent memory bloat
-// ✅ REMOVED: No longer needed without seenTokens
-/*
-setInterval(() => {
-    if (seenTokens.size > 1000) {
-        console.log(`🧹 Cleaning up seen tokens cache (${seenTokens.size} entries)`);
-        seenTokens.clear();
+// A background job ingests enriched launches into the `launches` table every minute.
+// Clients page through it with GET /api/launches?after=<cursor> instead of each one
+// triggering fresh Moralis / RugCheck / Helius calls through /api/live-launches.
+// The cursor is the row's revision, which a trigger bumps whenever the launch's data changes -
+// so a launch comes back on a later page once enrichment (RugCheck, bundles, ...) fills in or moves.
+// Clients should key launches by contract and replace the earlier copy.
+
+const LAUNCH_FEED_DEFAULT_LIMIT = 50;
+const LAUNCH_FEED_MAX_LIMIT = 200;
+
+// Independent of the auto-scan pause - pausing the whale scanner shouldn't stall the feed
+let launchIngestEnabled = process.env.LAUNCH_INGEST_ENABLED !== 'false';
+let launchIngestRunning = false;
+let lastLaunchIngest = null; // { at, count, error }
+
+// Fetch the current live launches and upsert them (one row per contract)
+async function ingestLaunches() {
+    if (launchIngestRunning) {
+        console.log('⏭️ Launch ingest still running - skipping this tick');
+        return;
     }
-}, 60 * 60 * 1000); // Every hour
-*/
-
-app.get('/api/live-launches', async (req, res) => {
+    launchIngestRunning = true;
+    
     try {
-        console.log('🔍 Fetching graduated Pump.fun tokens from Moralis...');
-        
-        const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
-        
-        if (!MORALIS_API_KEY) {
-            console.error('❌ MORALIS_API_KEY not set in environment variables');
-            return res.json({
-                success: false,
-                error: 'Moralis API key not configured',
-                launches: [],
-                totalScanned: 0,
-                count: 0
-            });
-        }
-        
-        // Moralis Solana API - Get graduated tokens
-        // Docs: https://docs.moralis.com/web3-data-api/solana/reference/token-api#get-graduated-tokens-by-exchange
-        // Use "pumpfun" as the exchange identifier (Pump.fun tokens that completed bonding curve)
-        // Add order param to try to get most recent first
-        const response = await fetch('https://solana-gateway.moralis.io/token/mainnet/exchange/pumpfun/graduated?order=DESC', {
-            headers: {
-                'Accept': 'application/json',
-                'X-API-Key': MORALIS_API_KEY,
-                'Cache-Control': 'no-cache'
-            }
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Moralis API returned ${response.status}: ${errorText}`);
-            return res.json({
-                success: true,
-                launches: [],
-                totalScanned: 0,
-                count: 0,
-                timestamp: new Date().toISOString(),
-                message: `API error: ${response.status}`,
-                scamFilterRate: '0%'
-            });
-        }
-        
-        const data = await response.json();
-        console.log('📦 Moralis response structure:', Object.keys(data));
+        const result = await collectLiveLaunches();
+        if (!result.success) throw new Error(result.error || 'Live launch collection failed');
+        
+        const now = new Date().toISOString();
+        const rows = result.launches
+            .filter(launch => launch.contract)
+            .map(launch => ({
+                contract: launch.contract,
+                source: launch.source || null,
+                symbol: launch.symbol || null,
+                launched_at: launch.graduatedAt ? new Date(launch.graduatedAt).toISOString() : null,
+                data: launch,
+                updated_at: now
+            }));
         
-        // Handle different possible response formats
-        let tokens = [];
-        if (Array.isArray(data)) {
-            tokens = data;
-        } else if (data.tokens && Array.isArray(data.tokens)) {
-            tokens = data.tokens;
-        } else if (data.result && Array.isArray(data.result)) {
-            tokens = data.result;
-        } else if (data.data && Array.isArray(data.data)) {
-            tokens = data.data;
+        if (rows.length > 0) {
+            const { error } = await supabase
+                .from('launches')
+                .upsert(rows, { onConflict: 'contract' });
+            
+            if (error) throw error;
         }
         
-        console.log(`📊 Moralis returned ${tokens.length} graduated tokens`);
+        lastLaunchIngest = { at: now, count: rows.length, error: null };
+        console.log(`🗄️ Ingested ${rows.length} launches`);
         
-        // DEBUG: Log first token to see actual field names and values
-        if (tokens.length > 0) {
-            console.log('🔍 SAMPLE TOKEN:', JSON.stringify(tokens[0], null, 2));
-        }
+    } catch (error) {
+        lastLaunchIngest = { at: new Date().toISOString(), count: 0, error: error.message };
+        throw error;
+    } finally {
+        launchIngestRunning = false;
+    }
+}
+
+// Launch feed from storage
+// ?after=<cursor> returns launches added or updated after that cursor (oldest change first);
+// without it returns the latest `limit` launches. Pass the returned `cursor` on the next call.
+app.get('/api/launches', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LAUNCH_FEED_DEFAULT_LIMIT, 1), LAUNCH_FEED_MAX_LIMIT);
+        const after = req.query.after !== undefined ? parseInt(req.query.after, 10) : null;
         
-        if (tokens.length === 0) {
-            return res.json({
-                success: true,
-                launches: [],
-                totalScanned: 0,
-                count: 0,
-                timestamp: new Date().toISOString(),
-                message: 'No graduated tokens found',
-                scamFilterRate: '0%'
-            });
+        if (req.query.after !== undefined && (!Number.isInteger(after) || after < 0)) {
+            return res.status(400).json({ success: false, error: 'after must be a cursor returned by this endpoint' });
         }
         
-        // Filter to tokens graduated in the last 10 minutes
-        // Moralis API has some delay, so 2 minutes was too tight
-        // Frontend handles per-user first load logic (marks as seen, only shows truly new)
-        const currentCheckTime = Date.now();
-        const maxAgeMinutes = 10;
-        const cutoffTime = currentCheckTime - (maxAgeMinutes * 60 * 1000);
-        
-        console.log(`⏰ Showing graduations from last ${maxAgeMinutes} minutes`);
-        console.log(`⏰ Cutoff: ${new Date(cutoffTime).toISOString()}`);
-        
-        let includedCount = 0;
-        let skippedCount = 0;
-        let noTimestampCount = 0;
-        
-        const newGraduations = tokens.filter(token => {
-            // Must have address
-            const address = token.address || token.mint || token.token_address || token.tokenAddress;
-            if (!address) return false;
-            
-            // Get graduation timestamp - Moralis uses 'graduatedAt'
-            const graduatedAt = token.graduatedAt || token.graduated_at;
-            
-            if (!graduatedAt) {
-                noTimestampCount++;
-                return false; // Skip if no timestamp
-            }
-            
-            // Parse timestamp
-            const graduatedTime = new Date(graduatedAt).getTime();
-            
-            // Debug first few
-            if (includedCount + skippedCount < 3) {
-                console.log(`🔍 Token ${address.slice(0,8)}: graduatedAt=${graduatedAt}, age=${Math.floor((currentCheckTime - graduatedTime) / 60000)} min`);
-            }
-            
-            // Only include if graduated within maxAgeMinutes
-            if (graduatedTime < cutoffTime) {
-                skippedCount++;
-                return false;
-            }
-            
-            includedCount++;
-            return true;
-        });
-        
-        console.log(`✅ ${newGraduations.length} graduations in last ${maxAgeMinutes} min (${skippedCount} older, ${noTimestampCount} no timestamp)`);
-        
-        // Process all new graduations (should be small number in 1-min window)
-        // Fetch RugCheck + Bundle + DexScreener data IN PARALLEL for each token
-        // RugCheck is sequential (rate limited), Bundle + DexScreener run in parallel alongside
-        console.log(`📊 Fetching RugCheck + Bundle + DexScreener data for ${newGraduations.length} tokens...`);
-        const rugCheckMap = new Map();
-        const bundleMap = new Map();
-        const dexScreenerMap = new Map();
-        
-        // Start ALL bundle checks in parallel (Helius has generous rate limits)
-        const bundlePromises = newGraduations.map(async (token) => {
-            const address = token.address || token.mint || token.token_address || token.tokenAddress;
-            try {
-                const bundleData = await fetchBundleData(address);
-                bundleMap.set(address, bundleData);
-            } catch (err) {
-                console.log(`⚠️ Bundle check failed for ${address.slice(0, 8)}: ${err.message}`);
-                bundleMap.set(address, null);
-            }
-        });
-        
-        // Batch DexScreener fetch for all tokens (up to 30 per call)
-        const dexScreenerPromise = (async () => {
-            const addresses = newGraduations.map(token => 
-                token.address || token.mint || token.token_address || token.tokenAddress
-            );
-            
-            // DexScreener supports up to 30 tokens per request
-            const BATCH_SIZE = 30;
-            for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
-                const batch = addresses.slice(i, i + BATCH_SIZE);
-                const batchStr = batch.join(',');
-                
-                try {
-                    const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${batchStr}`);
-                    if (response.ok) {
-                        const data = await response.json();
-                        
-                        // Map each pair to its token address
-                        if (data.pairs) {
-                            for (const pair of data.pairs) {
-                                const addr = pair.baseToken?.address;
-                                if (addr && !dexScreenerMap.has(addr)) {
-                                    dexScreenerMap.set(addr, {
-                                        marketCap: pair.marketCap || pair.fdv || 0,
-                                        liquidity: pair.liquidity?.usd || 0,
-                                        price: parseFloat(pair.priceUsd) || 0
-                                    });
-                                }
-                            }
-                        }
-                    }
-                } catch (err) {
-                    console.log(`⚠️ DexScreener batch failed: ${err.message}`);
-                }
-            }
-            console.log(`📊 DexScreener: Got data for ${dexScreenerMap.size}/${addresses.length} tokens`);
-        })();
-        
-        // Run RugCheck SEQUENTIALLY (rate limited) while bundles + dexscreener run in parallel
-        const rugCheckPromise = (async () => {
-            for (const token of newGraduations) {
-                const address = token.address || token.mint || token.token_address || token.tokenAddress;
-                try {
-                    const rugCheckData = await fetchRugCheckData(address);
-                    rugCheckMap.set(address, rugCheckData);
-                } catch (err) {
-                    console.log(`⚠️ RugCheck failed for ${address.slice(0, 8)}: ${err.message}`);
-                    rugCheckMap.set(address, null);
-                }
-            }
-        })();
-        
-        // Wait for ALL to complete
-        await Promise.all([rugCheckPromise, dexScreenerPromise, ...bundlePromises]);
-        
-        console.log(`✅ RugCheck + Bundle + DexScreener complete: ${rugCheckMap.size} rugchecks, ${bundleMap.size} bundles, ${dexScreenerMap.size} dexscreener`);
-        
-        // Format results with RugCheck + Bundle + DexScreener data
-        const formatted = newGraduations.map(token => {
-            const address = token.address || token.mint || token.token_address || token.tokenAddress;
-            const graduatedAt = token.graduated_at || token.graduatedAt || token.migration_timestamp || token.timestamp;
-            const rugCheck = rugCheckMap.get(address);
-            const bundle = bundleMap.get(address);
-            const dexData = dexScreenerMap.get(address);
-            
-            const ageMinutes = graduatedAt 
-                ? Math.floor((currentCheckTime - (typeof graduatedAt === 'number' ? graduatedAt : new Date(graduatedAt).getTime())) / (1000 * 60))
-                : 0;
-            
-            return {
-                symbol: token.symbol || 'UNKNOWN',
-                name: token.name || 'Unknown Token',
-                contract: address,
-                ageMinutes: ageMinutes,
-                liquidity: dexData?.liquidity || token.liquidity || token.reserve_in_usd || token.raydium_liquidity || 0,
-                price: dexData?.price || token.priceUsd || token.price_usd || token.price || token.priceNative || 0,
-                dex: 'raydium',
-                hasLogo: !!token.logo || !!token.image_uri || !!token.logoURI,
-                hasWebsite: !!token.website,
-                hasSocials: !!(token.twitter || token.telegram),
-                website: token.website || null,
-                dexscreenerUrl: `https://dexscreener.com/solana/${address}`,
-                jupiterUrl: `https://jup.ag/?sell=So11111111111111111111111111111111111111112&buy=${address}`,
-                raydiumUrl: `https://raydium.io/swap/?inputCurrency=sol&outputCurrency=${address}`,
-                priceChange: {
-                    m5: token.priceChange5m || token.price_change_5m || token.priceChange?.['5m'] || 0,
-                    h1: token.priceChange1h || token.price_change_1h || token.priceChange?.['1h'] || 0
-                },
-                graduated: true,
-                marketCap: dexData?.marketCap || token.market_cap || token.marketCap || 0,
-                graduatedAt: graduatedAt, // Include timestamp
-                // RugCheck data
-                rugCheckScore: rugCheck?.score || 0,
-                topHoldersPercent: rugCheck?.top10Percent || null,
-                creatorAddress: rugCheck?.creator || null,
-                creatorPercent: rugCheck?.creatorPercent || null,
-                creatorHasRugged: rugCheck?.creatorHasRugged || false,
-                rugCheckRisks: rugCheck?.risks || [],
-                isRugged: rugCheck?.rugged || false,
-                // Bundle Detection data
-                bundleDetection: bundle ? {
-                    isBundled: bundle.isBundled || false,
-                    bundledWallets: bundle.bundledWallets || 0,
-                    bundledPercent: bundle.bundledPercent || null,        // NEW: e.g. "34.2%"
-                    totalEarlyBuyers: bundle.totalEarlyBuyers || 0,
-                    earlyBuyersPercent: bundle.earlyBuyersPercent || null, // NEW: e.g. "52.1%"
-                    riskLevel: bundle.riskLevel || 'NONE',
-                    summary: bundle.summary || 'No data'
-                } : null,
-                // Source identifier
-                source: 'Pump'
-            };
-        });
-        
-        // ==========================================
-        // ALSO FETCH BAGS.FM DBC LAUNCHES
-        // ==========================================
-        let bagsFormatted = [];
-        try {
-            const bagsLaunches = await fetchBagsLaunches();
-            console.log(`🛍️ Found ${bagsLaunches.length} Bags.fm launches`);
-            
-            // Fetch RugCheck for Bags tokens IN PARALLEL (limit to 10)
-            const bagsToProcess = bagsLaunches.slice(0, 10);
-            const rugCheckPromises = bagsToProcess.map(async (token) => {
-                try {
-                    const rugCheck = await fetchRugCheckData(token.contract);
-                    return { token, rugCheck };
-                } catch (err) {
-                    console.log(`⚠️ RugCheck failed for Bags token ${token.contract.slice(0,8)}`);
-                    return { token, rugCheck: null };
-                }
-            });
+        let rows;
+        if (after !== null) {
+            // Fetch one extra row to know whether there's more to page through
+            const { data, error } = await supabase
+                .from('launches')
+                .select('revision, data, first_seen_at, updated_at')
+                .gt('revision', after)
+                .order('revision', { ascending: true })
+                .limit(limit + 1);
             
-            const rugCheckResults = await Promise.all(rugCheckPromises);
+            if (error) throw error;
+            rows = data;
+        } else {
+            const { data, error } = await supabase
+                .from('launches')
+                .select('revision, data, first_seen_at, updated_at')
+                .order('revision', { ascending: false })
+                .limit(limit);
             
-            for (const { token, rugCheck } of rugCheckResults) {
-                const createdTime = token.createdAt ? new Date(token.createdAt).getTime() : currentCheckTime;
-                const ageMinutes = Math.floor((currentCheckTime - createdTime) / (1000 * 60));
-                
-                bagsFormatted.push({
-                    symbol: token.symbol,
-                    name: token.name,
-                    contract: token.contract,
-                    ageMinutes: token.ageMinutes || ageMinutes,
-                    liquidity: token.liquidity || 0,
-                    price: token.price || 0,
-                    dex: token.dex || 'meteora',
-                    hasLogo: true,
-                    hasWebsite: false,
-                    hasSocials: false,
-                    website: null,
-                    dexscreenerUrl: token.dexscreenerUrl,
-                    jupiterUrl: token.jupiterUrl,
-                    bagsUrl: token.bagsUrl,
-                    printrUrl: token.printrUrl,
-                    easyUrl: token.easyUrl,
-                    priceChange: token.priceChange || { m5: 0, h1: 0 },
-                    graduated: false, // Still on bonding curve
-                    marketCap: token.marketCap || 0,
-                    graduatedAt: token.createdAt,
-                    // RugCheck data
-                    rugCheckScore: rugCheck?.score || 0,
-                    topHoldersPercent: rugCheck?.top10Percent || null,
-                    creatorAddress: rugCheck?.creator || null,
-                    creatorPercent: rugCheck?.creatorPercent || null,
-                    creatorHasRugged: rugCheck?.creatorHasRugged || false,
-                    rugCheckRisks: rugCheck?.risks || [],
-                    isRugged: rugCheck?.rugged || false,
-                    // No bundle detection for Bags (they're on bonding curve)
-                    bundleDetection: null,
-                    // Source identifier - use actual source from token
-                    source: token.source || 'Bags'
-                });
-            }
-        } catch (bagsError) {
-            console.log(`⚠️ Bags fetch error (continuing without): ${bagsError.message}`);
+            if (error) throw error;
+            rows = data.reverse();
         }
         
-        // Combine Pump.fun + Bags launches
-        const allLaunches = [...formatted, ...bagsFormatted];
-        console.log(`✅ Total launches: ${formatted.length} Pump + ${bagsFormatted.length} Bags = ${allLaunches.length}`);
+        const hasMore = rows.length > limit;
+        const page = rows.slice(0, limit);
         
         res.json({
             success: true,
-            timestamp: new Date().toISOString(),
-            totalScanned: tokens.length,
-            launches: allLaunches,
-            count: allLaunches.length,
-            pumpCount: formatted.length,
-            bagsCount: bagsFormatted.filter(t => t.source === 'Bags').length,
-            printrCount: bagsFormatted.filter(t => t.source === 'Printr').length,
-            easyCount: bagsFormatted.filter(t => t.source === 'Easy').length,
-            message: 'Pump.fun graduations + Bags.fm + Printr + Easy DBC launches',
-            scamFilterRate: `${tokens.length > 0 ? ((1 - formatted.length / tokens.length) * 100).toFixed(1) : '0'}%`
+            launches: page.map(row => ({ ...row.data, cursor: row.revision, firstSeenAt: row.first_seen_at, updatedAt: row.updated_at })),
+            count: page.length,
+            // No new rows - hand the client's cursor back so it can keep polling with it
+            cursor: page.length > 0 ? page[page.length - 1].revision : after,
+            hasMore: hasMore,
+            lastIngest: lastLaunchIngest,
+            timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('❌ Live Launches API error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('❌ Launch feed error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==========================================
+// LAUNCH EVENT STREAM (SSE)
+// ==========================================
+
+// collectLiveLaunches emits:
+//   'detected'   { contract, symbol, name, source, graduatedAt } - before enrichment starts
+//   'enrichment' { contract, ...fields } - as RugCheck / bundle data for one token arrives
+//   'enriched'   full launch object
+//   'curveThreshold' { contract, source, thresholdPercent, curveProgressPercent } - from the curve tracker
+// The stream turns these into `launch` (first time a client sees a token) and `update` events.
+const launchEvents = new EventEmitter();
+launchEvents.setMaxListeners(0);
+
+const LAUNCH_STREAM_HEARTBEAT = 25 * 1000;
+const LAUNCH_STREAM_STATE_TTL = 60 * 60 * 1000;
+
+// Same RugCheck fields the launch objects carry
+function rugCheckLaunchFields(rugCheck) {
+    return {
+        rugCheckScore: rugCheck?.score || 0,
+        topHoldersPercent: rugCheck?.top10Percent || null,
+        creatorAddress: rugCheck?.creator || null,
+        creatorPercent: rugCheck?.creatorPercent || null,
+        holderDataSource: rugCheck?.source || null,
+        excludedHolders: rugCheck?.excludedHolders || null,
+        creatorHasRugged: rugCheck?.creatorHasRugged || false,
+        rugCheckRisks: rugCheck?.risks || [],
+        isRugged: rugCheck?.rugged || false
+    };
+}
+
+// contract -> { launch (merged fields so far), lastSent (JSON of last update per field), seenAt }
+// Both the ingest job and /api/live-launches re-collect the same tokens, so only changes go out
+const streamedLaunches = new Map();
+
+// Connected clients: { id, res, filters, sent: Set<contract> }
+const launchStreamClients = new Set();
+let nextLaunchStreamClientId = 1;
+
+// ?source=Pump,Bags&minLiquidity=5000&maxRisk=50
+function parseLaunchStreamFilters(query) {
+    const sources = query.source
+        ? query.source.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+        : null;
+    const minLiquidity = query.minLiquidity !== undefined ? parseFloat(query.minLiquidity) : null;
+    const maxRisk = query.maxRisk !== undefined ? parseFloat(query.maxRisk) : null;
+    return {
+        sources: sources,
+        minLiquidity: Number.isFinite(minLiquidity) ? minLiquidity : null,
+        maxRisk: Number.isFinite(maxRisk) ? maxRisk : null
+    };
+}
+
+// null = can't tell yet (liquidity / risk not known), otherwise whether the launch passes
+function matchesLaunchStreamFilters(launch, filters) {
+    if (filters.sources && !filters.sources.includes((launch.source || '').toLowerCase())) return false;
+    if (filters.minLiquidity !== null) {
+        if (launch.liquidity === undefined) return null;
+        if ((launch.liquidity || 0) < filters.minLiquidity) return false;
+    }
+    if (filters.maxRisk !== null) {
+        if (!launch.trakrRisk) return null;
+        if (launch.trakrRisk.score > filters.maxRisk) return false;
+    }
+    return true;
+}
+
+function writeLaunchStreamEvent(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send the token to every client: `launch` the first time it passes their filters, `update` after that
+function broadcastLaunch(contract, changes) {
+    const state = streamedLaunches.get(contract);
+    for (const client of launchStreamClients) {
+        if (client.sent.has(contract)) {
+            writeLaunchStreamEvent(client, 'update', { contract, ...changes });
+            continue;
+        }
+        if (matchesLaunchStreamFilters(state.launch, client.filters) === true) {
+            client.sent.add(contract);
+            writeLaunchStreamEvent(client, 'launch', state.launch);
+        }
+    }
+}
+
+// Merge new fields into the token's state, returning only the ones that changed
+function mergeLaunchState(contract, fields) {
+    let state = streamedLaunches.get(contract);
+    const isNew = !state;
+    if (isNew) {
+        state = { launch: { contract }, lastSent: {} };
+        streamedLaunches.set(contract, state);
+    }
+    // Last time the token was seen at all - it stays in the live window while events keep arriving
+    state.seenAt = Date.now();
+    
+    const changes = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (key === 'contract' || value === undefined) continue;
+        const json = JSON.stringify(value);
+        if (state.lastSent[key] === json) continue;
+        state.lastSent[key] = json;
+        state.launch[key] = value;
+        changes[key] = value;
+    }
+    return { isNew, changes };
+}
+
+function handleLaunchEvent(fields) {
+    if (!fields?.contract) return;
+    const { isNew, changes } = mergeLaunchState(fields.contract, fields);
+    if (isNew || Object.keys(changes).length > 0) {
+        broadcastLaunch(fields.contract, changes);
+    }
+}
+
+// ageMinutes ticks every call and isn't worth an update event on its own
+launchEvents.on('detected', handleLaunchEvent);
+launchEvents.on('enrichment', handleLaunchEvent);
+launchEvents.on('enriched', ({ ageMinutes, ...launch }) => handleLaunchEvent(launch));
+
+// Bonding curve crossed a CURVE_PROGRESS_THRESHOLDS level - `threshold` event to clients following the token
+launchEvents.on('curveThreshold', (event) => {
+    if (streamedLaunches.has(event.contract)) {
+        handleLaunchEvent({ contract: event.contract, curveProgressPercent: event.curveProgressPercent });
+    }
+    for (const client of launchStreamClients) {
+        if (client.sent.has(event.contract)) writeLaunchStreamEvent(client, 'threshold', event);
+    }
+});
+
+// Forget tokens that dropped out of the live window
+setInterval(() => {
+    const cutoff = Date.now() - LAUNCH_STREAM_STATE_TTL;
+    for (const [contract, state] of streamedLaunches) {
+        if (state.seenAt < cutoff) {
+            streamedLaunches.delete(contract);
+            for (const client of launchStreamClients) client.sent.delete(contract);
+        }
+    }
+}, 10 * 60 * 1000);
+
+// Server-Sent Events launch stream - events: ready, launch, update, threshold (plus `: ping` heartbeats)
+// Tokens already known when the client connects are sent as `launch` events straight away.
+app.get('/api/launches/stream', (req, res) => {
+    const client = {
+        id: nextLaunchStreamClientId++,
+        res: res,
+        filters: parseLaunchStreamFilters(req.query),
+        sent: new Set()
+    };
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // don't let proxies buffer the stream
+    res.flushHeaders();
+    
+    writeLaunchStreamEvent(client, 'ready', { clientId: client.id, filters: client.filters });
+    for (const [contract, state] of streamedLaunches) {
+        if (matchesLaunchStreamFilters(state.launch, client.filters) === true) {
+            client.sent.add(contract);
+            writeLaunchStreamEvent(client, 'launch', state.launch);
+        }
     }
+    
+    launchStreamClients.add(client);
+    console.log(`📡 Launch stream client ${client.id} connected (${launchStreamClients.size} total)`);
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LAUNCH_STREAM_HEARTBEAT);
+    
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        launchStreamClients.delete(client);
+        console.log(`📡 Launch stream client ${client.id} disconnected (${launchStreamClients.size} total)`);
+    });
 });
 
 // ==========================================
@@ -1208,7 +5223,7 @@ app.get('/api/live-launches', async (req, res) => {
 // ==========================================
 
 // Refresh holder data for a single token (called by frontend refresh button)
-app.get('/api/refresh/:contract', async (req, res) => {
+app.get('/api/refresh/:contract', withBundleRiskProfile, async (req, res) => {
     try {
         const { contract } = req.params;
         
@@ -1221,56 +5236,248 @@ app.get('/api/refresh/:contract', async (req, res) => {
         
         console.log(`🔄 Refreshing data for ${contract.slice(0, 8)}...`);
         
-        // Fetch fresh RugCheck data (bypass cache!)
-        const rugCheck = await fetchRugCheckData(contract, 0, true);
+        // Fetch fresh RugCheck data (bypass cache!) + bundle data (cached) for the risk score
+        // User-triggered, so these jump ahead of background enrichment in the rate limit queues
+        const bundlePromise = fetchBundleData(contract, false, PRIORITY.USER, bundleVenueFor(contract)).catch(() => null);
+        const mintSecurityPromise = fetchMintSecurity(contract, true, PRIORITY.USER);
+        const rugCheck = await fetchRugCheckData(contract, true, PRIORITY.USER);
         
         // Also fetch current price from DexScreener
         let price = null;
         let liquidity = null;
+        let marketCap = null;
         
         try {
-            const dexResponse = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${contract}`);
+            const dexResponse = await limitedFetch('dexscreener', `https://api.dexscreener.com/latest/dex/tokens/${contract}`, {}, { priority: PRIORITY.USER });
             if (dexResponse.ok) {
                 const dexData = await dexResponse.json();
                 const pair = dexData.pairs?.[0];
                 if (pair) {
                     price = parseFloat(pair.priceUsd) || null;
                     liquidity = pair.liquidity?.usd || null;
+                    marketCap = pair.marketCap || pair.fdv || null;
                 }
             }
         } catch (dexErr) {
             console.log(`⚠️ DexScreener fetch failed: ${dexErr.message}`);
         }
         
-        console.log(`✅ Refresh complete for ${contract.slice(0, 8)}:`, {
-            topHolders: rugCheck?.top10Percent,
-            creator: rugCheck?.creatorPercent,
-            price,
-            liquidity
-        });
+        const [rawBundle, mintSecurity] = await Promise.all([bundlePromise, mintSecurityPromise]);
+        const bundle = applyBundleRiskProfile(rawBundle, req.riskProfile);
+        const trakrRisk = computeTrakrRisk({ rugCheck, bundle, market: { liquidity, marketCap }, mintSecurity });
+        
+        // Keep the creator ledger's peak market cap / rugged state current. Refresh doesn't know when the
+        // token launched, so tokens not in the ledger yet are left to the launch feeds
+        recordCreatorLaunch({ contract, creatorAddress: rugCheck?.creator, marketCap, isRugged: rugCheck?.rugged }, { updateOnly: true });
+        
+        console.log(`✅ Refresh complete for ${contract.slice(0, 8)}:`, {
+            topHolders: rugCheck?.top10Percent,
+            creator: rugCheck?.creatorPercent,
+            price,
+            liquidity,
+            trakrScore: trakrRisk.score
+        });
+        
+        res.json({
+            success: true,
+            contract: contract,
+            topHoldersPercent: rugCheck?.top10Percent || null,
+            creatorPercent: rugCheck?.creatorPercent || null,
+            holderDataSource: rugCheck?.source || null,
+            excludedHolders: rugCheck?.excludedHolders || null,
+            price: price,
+            liquidity: liquidity,
+            marketCap: marketCap,
+            rugCheckScore: rugCheck?.score || 0,
+            mintSecurity: mintSecurity,
+            bundleDetection: formatBundleDetection(bundle),
+            trakrRisk: trakrRisk,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Refresh error:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ==========================================
+// BATCH TOKEN ANALYSIS
+// ==========================================
+
+const ANALYZE_MAX_MINTS = 50;
+const ANALYZE_CONCURRENCY = 5; // Mints analyzed at once - each can start a multi-page bundle scan
+
+// Run fn over items with at most `limit` in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// DexScreener prices move fast - short cache so a batch right after live-launches doesn't refetch
+const dexScreenerMarketCache = createCache('dexscreener-market', { ttl: 30 * 1000 });
+
+// Market cap / liquidity / price for many mints (DexScreener takes up to 30 per request)
+// Returns Map address -> { marketCap, liquidity, price }; tokens without a pair are missing
+async function fetchDexScreenerMarkets(addresses, priority = PRIORITY.NORMAL) {
+    const markets = new Map();
+    const toFetch = [];
+    for (const address of addresses) {
+        const cached = await dexScreenerMarketCache.get(address);
+        if (cached) markets.set(address, cached.data);
+        else toFetch.push(address);
+    }
+    
+    const BATCH_SIZE = 30;
+    for (let i = 0; i < toFetch.length; i += BATCH_SIZE) {
+        const batchStr = toFetch.slice(i, i + BATCH_SIZE).join(',');
+        
+        try {
+            const response = await limitedFetch('dexscreener', `https://api.dexscreener.com/latest/dex/tokens/${batchStr}`, {}, { priority });
+            if (!response.ok) continue;
+            const data = await response.json();
+            
+            // First pair per token address (DexScreener lists the main pair first)
+            for (const pair of data.pairs || []) {
+                const addr = pair.baseToken?.address;
+                if (addr && !markets.has(addr)) {
+                    const market = {
+                        marketCap: pair.marketCap || pair.fdv || 0,
+                        liquidity: pair.liquidity?.usd || 0,
+                        price: parseFloat(pair.priceUsd) || 0
+                    };
+                    markets.set(addr, market);
+                    dexScreenerMarketCache.set(addr, market);
+                }
+            }
+        } catch (err) {
+            console.log(`⚠️ DexScreener batch failed: ${err.message}`);
+        }
+    }
+    
+    return markets;
+}
+
+// RugCheck + bundle + DexScreener + mint authority data for one mint
+// status: 'ok' (everything), 'partial' (some sources missing) or 'error' (nothing came back)
+async function analyzeToken(mint, marketsPromise, riskProfile) {
+    const [rugCheck, rawBundle, mintSecurity, markets] = await Promise.all([
+        fetchRugCheckData(mint).catch(() => null),
+        fetchBundleData(mint, false, PRIORITY.NORMAL, bundleVenueFor(mint)).catch(() => null),
+        fetchMintSecurity(mint),
+        marketsPromise
+    ]);
+    const bundle = applyBundleRiskProfile(rawBundle, riskProfile);
+    const market = markets.get(mint) || null;
+    
+    const sources = { rugCheck, bundle, market, mintSecurity };
+    const missing = Object.keys(sources).filter(key => !sources[key]);
+    
+    return {
+        mint: mint,
+        status: missing.length === 0 ? 'ok' : missing.length === Object.keys(sources).length ? 'error' : 'partial',
+        missing: missing,
+        rugCheck: rugCheck ? {
+            score: rugCheck.score,
+            topHoldersPercent: rugCheck.top10Percent,
+            creatorAddress: rugCheck.creator,
+            creatorPercent: rugCheck.creatorPercent,
+            creatorHasRugged: rugCheck.creatorHasRugged,
+            risks: rugCheck.risks,
+            isRugged: rugCheck.rugged,
+            source: rugCheck.source
+        } : null,
+        bundleDetection: formatBundleDetection(bundle),
+        market: market,
+        mintSecurity: mintSecurity,
+        trakrRisk: computeTrakrRisk({ rugCheck, bundle, market: market || {}, mintSecurity })
+    };
+}
+
+// Analyze up to 50 mints in one call - body { mints: [...], stream?: true }
+// Goes through the same caches and rate limiters as everything else, ANALYZE_CONCURRENCY mints at a time,
+// so big batches just queue. Each mint's bundle scan uses the venue of its launchpad.
+// With stream (or ?stream=1) results are written as NDJSON lines as each token finishes,
+// followed by a final { done: true } line.
+app.post('/api/tokens/analyze', withBundleRiskProfile, async (req, res) => {
+    try {
+        const { mints } = req.body || {};
+        const stream = req.body?.stream === true || req.query.stream === '1' || req.query.stream === 'true';
+        
+        if (!Array.isArray(mints) || mints.length === 0) {
+            return res.status(400).json({ success: false, error: 'mints array required', example: { mints: ['<mint address>'] } });
+        }
+        if (mints.length > ANALYZE_MAX_MINTS) {
+            return res.status(400).json({ success: false, error: `At most ${ANALYZE_MAX_MINTS} mints per request` });
+        }
+        
+        const unique = [...new Set(mints)];
+        const valid = unique.filter(m => typeof m === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(m));
+        const invalid = unique.filter(m => !valid.includes(m));
+        
+        console.log(`🧪 Batch analyze: ${valid.length} mints${invalid.length ? ` (${invalid.length} invalid)` : ''}${stream ? ' (streaming)' : ''}`);
+        
+        // One DexScreener pass for the whole batch
+        const marketsPromise = fetchDexScreenerMarkets(valid).catch(() => new Map());
+        
+        const statusCounts = { ok: 0, partial: 0, error: 0 };
+        const invalidResults = invalid.map(mint => ({ mint, status: 'error', error: 'Invalid mint address' }));
+        statusCounts.error += invalidResults.length;
+        
+        if (stream) {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Cache-Control', 'no-cache');
+            
+            let closed = false;
+            res.on('close', () => { closed = true; });
+            const writeLine = (obj) => {
+                if (!closed) res.write(JSON.stringify(obj) + '\n');
+            };
+            
+            invalidResults.forEach(writeLine);
+            await mapWithConcurrency(valid, ANALYZE_CONCURRENCY, async (mint) => {
+                if (closed) return;
+                const result = await analyzeToken(mint, marketsPromise, req.riskProfile);
+                statusCounts[result.status]++;
+                writeLine(result);
+            });
+            
+            writeLine({ done: true, count: unique.length, statusCounts, riskProfile: req.riskProfile });
+            return res.end();
+        }
+        
+        const results = await mapWithConcurrency(valid, ANALYZE_CONCURRENCY, mint => analyzeToken(mint, marketsPromise, req.riskProfile));
+        for (const result of results) statusCounts[result.status]++;
         
         res.json({
             success: true,
-            contract: contract,
-            topHoldersPercent: rugCheck?.top10Percent || null,
-            creatorPercent: rugCheck?.creatorPercent || null,
-            price: price,
-            liquidity: liquidity,
-            rugCheckScore: rugCheck?.score || 0,
+            count: unique.length,
+            statusCounts: statusCounts,
+            riskProfile: req.riskProfile,
+            results: [...results, ...invalidResults],
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error(`❌ Refresh error:`, error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('❌ Batch analyze error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // API Endpoint: Get Bags.fm DBC launches (standalone)
-app.get('/api/bags-launches', async (req, res) => {
+app.get('/api/bags-launches', withBundleRiskProfile, async (req, res) => {
     try {
         console.log('🛍️ Fetching Bags.fm DBC launches...');
         
@@ -1285,19 +5492,30 @@ app.get('/api/bags-launches', async (req, res) => {
         
         const rugCheckPromises = bagsLaunches.map(async (token) => {
             try {
-                const rugCheck = await fetchRugCheckData(token.contract);
-                return { contract: token.contract, rugCheck };
+                const [rugCheck, mintSecurity, bundle, socialLinks] = await Promise.all([
+                    fetchRugCheckData(token.contract),
+                    fetchMintSecurity(token.contract),
+                    fetchBundleData(token.contract, false, PRIORITY.NORMAL, 'dbc'),
+                    fetchSocialLinks(token.contract, token.dbcPool?.uri)
+                ]);
+                return { contract: token.contract, rugCheck, mintSecurity, bundle, socialLinks };
             } catch (err) {
-                return { contract: token.contract, rugCheck: null };
+                return { contract: token.contract, rugCheck: null, mintSecurity: null, bundle: null, socialLinks: null };
             }
         });
 
         const rugCheckResults = await Promise.all(rugCheckPromises);
         const rugCheckMap = new Map(rugCheckResults.map(r => [r.contract, r.rugCheck]));
+        const mintSecurityMap = new Map(rugCheckResults.map(r => [r.contract, r.mintSecurity]));
+        const bundleMap = new Map(rugCheckResults.map(r => [r.contract, r.bundle]));
+        const socialMap = new Map(rugCheckResults.map(r => [r.contract, r.socialLinks]));
 
         // Format results with RugCheck data
         const formatted = bagsLaunches.map(token => {
             const rugCheck = rugCheckMap.get(token.contract);
+            const mintSecurity = mintSecurityMap.get(token.contract) || null;
+            const bundle = applyBundleRiskProfile(bundleMap.get(token.contract) || null, req.riskProfile);
+            const socialLinks = socialMap.get(token.contract) || null;
             
             // Calculate age in minutes
             const createdTime = token.createdAt ? new Date(token.createdAt).getTime() : currentCheckTime;
@@ -1306,15 +5524,30 @@ app.get('/api/bags-launches', async (req, res) => {
             return {
                 ...token,
                 ageMinutes: ageMinutes,
+                // Metadata socials, X account, reused links
+                hasWebsite: socialLinks?.hasWebsite || false,
+                hasSocials: socialLinks?.hasSocials || false,
+                website: socialLinks?.website || null,
+                socialLinks: socialLinks,
                 // RugCheck data
                 topHoldersPercent: rugCheck?.top10Percent || null,
                 creatorPercent: rugCheck?.creatorPercent || null,
-                creatorAddress: rugCheck?.creator || null,
+                holderDataSource: rugCheck?.source || null,
+                excludedHolders: rugCheck?.excludedHolders || null,
+                creatorAddress: rugCheck?.creator || token.creator || null,
                 creatorHasRugged: rugCheck?.creatorHasRugged || false,
                 rugCheckScore: rugCheck?.score || 0,
-                rugCheckRisks: rugCheck?.risks || []
+                rugCheckRisks: rugCheck?.risks || [],
+                isRugged: rugCheck?.rugged || false,
+                mintSecurity: mintSecurity,
+                bundleDetection: formatBundleDetection(bundle),
+                // Combined Trakr risk score
+                trakrRisk: computeTrakrRisk({ rugCheck, bundle, market: token, mintSecurity })
             };
         });
+        
+        // Creator ledger + reputation summaries
+        await attachCreatorReputations(formatted);
 
         // Update last check time
         lastBagsCheck = currentCheckTime;
@@ -1339,67 +5572,120 @@ app.get('/api/bags-launches', async (req, res) => {
     }
 });
 
+const ALL_LAUNCHES_CONCURRENCY = 10;
+
+// Persisted launch rows (written by the ingest job) for a set of contracts
+async function fetchStoredLaunches(contracts) {
+    const stored = new Map();
+    if (contracts.length === 0) return stored;
+
+    const { data, error } = await supabase
+        .from('launches')
+        .select('contract, data')
+        .in('contract', contracts);
+
+    if (error) {
+        console.log(`⚠️ Stored launches lookup failed: ${error.message}`);
+        return stored;
+    }
+    for (const row of data || []) stored.set(row.contract, row.data || {});
+    return stored;
+}
+
+// Risk fields for a launch from cached RugCheck / mint / bundle results, falling back to its stored row.
+// Only reads caches - tokens nobody has enriched yet show up with `missing` risk inputs.
+async function attachStoredEnrichment(launch, stored, riskProfile) {
+    const venue = bundleVenueFor(launch.contract, launch.source);
+    const [rugCheckEntry, mintSecurityEntry, bundleEntry] = await Promise.all([
+        rugCheckCache.get(launch.contract),
+        mintSecurityCache.get(launch.contract),
+        bundleCache.get(`${venue}:${launch.contract}`)
+    ]);
+    const rugCheck = rugCheckEntry?.data || null;
+    const mintSecurity = mintSecurityEntry?.data || stored?.mintSecurity || null;
+    const bundle = applyBundleRiskProfile(bundleEntry?.data || null, riskProfile);
+
+    const rugCheckFields = rugCheckLaunchFields(rugCheck);
+    if (!rugCheck && stored) {
+        for (const key of Object.keys(rugCheckFields)) {
+            if (stored[key] !== undefined) rugCheckFields[key] = stored[key];
+        }
+    }
+
+    const socialLinks = stored?.socialLinks || null;
+    const enriched = {
+        ...launch,
+        ...rugCheckFields,
+        creatorAddress: rugCheckFields.creatorAddress || launch.creator || null,
+        bundleDetection: bundle ? formatBundleDetection(bundle) : stored?.bundleDetection || null,
+        mintSecurity: mintSecurity,
+        // Metadata socials, falling back to what Moralis listed for Pump tokens
+        hasWebsite: socialLinks ? socialLinks.hasWebsite : !!launch.hasWebsite,
+        hasSocials: socialLinks ? socialLinks.hasSocials : !!launch.hasSocials,
+        website: socialLinks?.website || launch.website || null,
+        socialLinks: socialLinks
+    };
+
+    // Rescore from the raw inputs when they're cached; the stored score used the default bundle profile
+    enriched.trakrRisk = (rugCheck && bundle) || !stored?.trakrRisk
+        ? computeTrakrRisk({ rugCheck, bundle, market: enriched, mintSecurity })
+        : stored.trakrRisk;
+    return enriched;
+}
+
 // Combined endpoint: Get BOTH Pump.fun graduations AND Bags.fm launches
-app.get('/api/all-launches', async (req, res) => {
+app.get('/api/all-launches', withBundleRiskProfile, withLaunchQuery('age'), async (req, res) => {
     try {
         console.log('🚀 Fetching ALL launches (Pump.fun + Bags.fm)...');
 
         // Fetch both in parallel
         const [pumpResponse, bagsLaunches] = await Promise.all([
-            // Reuse the existing Pump.fun logic
+            // Reuse the existing Pump.fun logic (on-chain detections + Moralis backfill)
             (async () => {
-                const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
-                if (!MORALIS_API_KEY) return [];
-
-                const response = await fetch('https://solana-gateway.moralis.io/token/mainnet/exchange/pumpfun/graduated', {
-                    headers: {
-                        'Accept': 'application/json',
-                        'X-API-Key': MORALIS_API_KEY
-                    }
-                });
-
-                if (!response.ok) return [];
-                const data = await response.json();
-                
-                let tokens = [];
-                if (Array.isArray(data)) tokens = data;
-                else if (data.tokens) tokens = data.tokens;
-                else if (data.result) tokens = data.result;
-                else if (data.data) tokens = data.data;
-
+                const tokens = mergeGraduations(getDetectedGraduations(), await fetchMoralisGraduations());
                 return tokens.slice(0, 20); // Limit for performance
             })(),
             // Bags.fm launches
             fetchBagsLaunches()
         ]);
 
-        // Simple format for Pump tokens (skip full RugCheck for speed)
+        // Simple format for Pump tokens (risk data is attached below for both sources)
         const pumpFormatted = pumpResponse.map(token => ({
             symbol: token.symbol || 'UNKNOWN',
             name: token.name || 'Unknown Token',
-            contract: token.address || token.mint || token.token_address,
+            contract: token.address || token.mint || token.token_address || token.tokenAddress,
             price: token.priceUsd || token.price_usd || token.price || 0,
             liquidity: token.liquidity || token.reserve_in_usd || 0,
             marketCap: token.market_cap || token.marketCap || 0,
             source: 'Pump',
             dex: 'raydium',
             graduatedAt: token.graduated_at || token.graduatedAt,
-            dexscreenerUrl: `https://dexscreener.com/solana/${token.address || token.mint}`
+            hasWebsite: !!token.website,
+            hasSocials: !!(token.twitter || token.telegram),
+            website: token.website || null,
+            dexscreenerUrl: `https://dexscreener.com/solana/${token.address || token.mint || token.tokenAddress}`
         }));
 
-        // Combine and sort by recency
-        const allLaunches = [...bagsLaunches, ...pumpFormatted];
+        // Risk data and socials come from what the ingest job already worked out - no new scans from here.
+        // Source / age / liquidity / market cap filters go first so only survivors are enriched
+        const listingFilters = listingLaunchFilters(req.launchQuery.filters);
+        const listed = [...bagsLaunches, ...pumpFormatted].filter(launch => launch.contract);
+        const launches = listed.filter(launch => matchesLaunchFilters(launch, listingFilters));
+        const storedLaunches = await fetchStoredLaunches(launches.map(launch => launch.contract));
+        const combined = await mapWithConcurrency(launches, ALL_LAUNCHES_CONCURRENCY,
+            launch => attachStoredEnrichment(launch, storedLaunches.get(launch.contract), req.riskProfile));
+
+        // Remaining filters need the risk data, then sort (newest first unless ?sort= says otherwise)
+        const allLaunches = applyLaunchQuery(combined, req.launchQuery);
 
         res.json({
             success: true,
             timestamp: new Date().toISOString(),
             launches: allLaunches,
-            count: allLaunches.length,
-            pumpCount: pumpFormatted.length,
-            bagsCount: bagsLaunches.filter(t => t.source === 'Bags').length,
-            printrCount: bagsLaunches.filter(t => t.source === 'Printr').length,
-            easyCount: bagsLaunches.filter(t => t.source === 'Easy').length,
-            message: 'Combined Pump.fun graduations + Bags.fm + Printr + Easy DBC launches'
+            ...launchCountFields(allLaunches),
+            unfilteredCount: listed.length,
+            query: req.launchQuery,
+            message: 'Combined Pump.fun graduations + launchpad launches'
         });
 
     } catch (error) {
@@ -1416,7 +5702,7 @@ app.get('/api/all-launches', async (req, res) => {
 // ==========================================
 
 // Bulk token prices endpoint - for auto-trader position monitoring
-// Fetches current prices for up to 20 tokens in parallel
+// Fetches current prices for up to 20 tokens in one DexScreener call
 // Called every 1 second by extension to check positions
 app.post('/api/token-prices', async (req, res) => {
     try {
@@ -1442,82 +5728,78 @@ app.post('/api/token-prices', async (req, res) => {
         console.log(`💰 Fetching prices for ${contracts.length} tokens...`);
         const startTime = Date.now();
         
-        // Fetch all prices in PARALLEL for speed
-        const pricePromises = contracts.map(async (contract) => {
-            try {
-                // DexScreener API - free, reliable, real-time
-                const url = `https://api.dexscreener.com/latest/dex/tokens/${contract}`;
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), 3000); // 3s timeout
-                
-                const response = await fetch(url, {
-                    signal: controller.signal
-                });
-                clearTimeout(timeout);
-                
-                if (!response.ok) {
-                    console.error(`DexScreener error for ${contract.slice(0, 8)}: ${response.status}`);
-                    return {
-                        contract: contract,
-                        success: false,
-                        error: `API returned ${response.status}`
-                    };
-                }
-                
-                const data = await response.json();
-                
-                // Check if token has trading pairs
-                if (!data.pairs || data.pairs.length === 0) {
-                    return {
-                        contract: contract,
-                        success: false,
-                        error: 'No trading pairs found'
-                    };
-                }
-                
-                // Get most liquid pair (usually first)
-                const pair = data.pairs[0];
-                
+        // One DexScreener call for the whole batch (it takes up to 30 tokens) through the rate limiter -
+        // this endpoint is polled every second, so per-token calls would outrun the DexScreener bucket
+        let pairs = null;
+        let batchError = null;
+        try {
+            const response = await limitedFetch('dexscreener',
+                `https://api.dexscreener.com/latest/dex/tokens/${contracts.join(',')}`,
+                {},
+                { priority: PRIORITY.USER, timeoutMs: 3000 }
+            );
+            if (response.ok) {
+                pairs = (await response.json()).pairs || [];
+            } else {
+                console.error(`DexScreener error for price batch: ${response.status}`);
+                batchError = `API returned ${response.status}`;
+            }
+        } catch (error) {
+            console.error('Error fetching price batch:', error.message);
+            batchError = error.message;
+        }
+        
+        const prices = contracts.map((contract) => {
+            if (batchError) {
                 return {
                     contract: contract,
-                    success: true,
-                    price: pair.priceUsd || '0',
-                    priceNative: pair.priceNative || '0',
-                    priceChange: {
-                        m5: parseFloat(pair.priceChange?.m5 || 0),
-                        h1: parseFloat(pair.priceChange?.h1 || 0),
-                        h6: parseFloat(pair.priceChange?.h6 || 0),
-                        h24: parseFloat(pair.priceChange?.h24 || 0)
-                    },
-                    volume: {
-                        m5: parseFloat(pair.volume?.m5 || 0),
-                        h1: parseFloat(pair.volume?.h1 || 0),
-                        h6: parseFloat(pair.volume?.h6 || 0),
-                        h24: parseFloat(pair.volume?.h24 || 0)
-                    },
-                    liquidity: {
-                        usd: parseFloat(pair.liquidity?.usd || 0),
-                        base: parseFloat(pair.liquidity?.base || 0),
-                        quote: parseFloat(pair.liquidity?.quote || 0)
-                    },
-                    pairAddress: pair.pairAddress,
-                    dexId: pair.dexId,
-                    url: pair.url
+                    success: false,
+                    error: batchError
                 };
-                
-            } catch (error) {
-                console.error(`Error fetching ${contract.slice(0, 8)}:`, error.message);
+            }
+            
+            // Most liquid pair with this token as the base
+            const pair = pairs
+                .filter(p => p.baseToken?.address === contract)
+                .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+            
+            // Check if token has trading pairs
+            if (!pair) {
                 return {
                     contract: contract,
                     success: false,
-                    error: error.message
+                    error: 'No trading pairs found'
                 };
             }
+            
+            return {
+                contract: contract,
+                success: true,
+                price: pair.priceUsd || '0',
+                priceNative: pair.priceNative || '0',
+                priceChange: {
+                    m5: parseFloat(pair.priceChange?.m5 || 0),
+                    h1: parseFloat(pair.priceChange?.h1 || 0),
+                    h6: parseFloat(pair.priceChange?.h6 || 0),
+                    h24: parseFloat(pair.priceChange?.h24 || 0)
+                },
+                volume: {
+                    m5: parseFloat(pair.volume?.m5 || 0),
+                    h1: parseFloat(pair.volume?.h1 || 0),
+                    h6: parseFloat(pair.volume?.h6 || 0),
+                    h24: parseFloat(pair.volume?.h24 || 0)
+                },
+                liquidity: {
+                    usd: parseFloat(pair.liquidity?.usd || 0),
+                    base: parseFloat(pair.liquidity?.base || 0),
+                    quote: parseFloat(pair.liquidity?.quote || 0)
+                },
+                pairAddress: pair.pairAddress,
+                dexId: pair.dexId,
+                url: pair.url
+            };
         });
         
-        // Wait for ALL requests to complete
-        const prices = await Promise.all(pricePromises);
-        
         const elapsed = Date.now() - startTime;
         const successCount = prices.filter(p => p.success).length;
         const failedCount = prices.length - successCount;
@@ -1560,7 +5842,7 @@ app.get('/api/token-price/:contract', async (req, res) => {
         
         // DexScreener API
         const url = `https://api.dexscreener.com/latest/dex/tokens/${contract}`;
-        const response = await fetch(url);
+        const response = await limitedFetch('dexscreener', url, {}, { priority: PRIORITY.USER, timeoutMs: 5000 });
         
         if (!response.ok) {
             return res.status(response.status).json({
@@ -1720,7 +6002,7 @@ app.get('/api/debug/rugcheck/:contract', async (req, res) => {
         console.log(`🔍 Debug: Fetching raw RugCheck data for ${contract}`);
         
         // Fetch raw data from RugCheck
-        const response = await fetch(`https://api.rugcheck.xyz/v1/tokens/${contract}/report`);
+        const response = await limitedFetch('rugcheck', `https://api.rugcheck.xyz/v1/tokens/${contract}/report`, {}, { priority: PRIORITY.USER });
         
         if (!response.ok) {
             return res.status(response.status).json({
@@ -1780,11 +6062,26 @@ app.post('/api/admin/resume', (req, res) => {
     res.json({ success: true, message: 'Auto-scanning resumed' });
 });
 
+// Pause launch feed ingestion
+app.post('/api/admin/ingest/pause', (req, res) => {
+    launchIngestEnabled = false;
+    console.log('⏸️ Launch ingest paused');
+    res.json({ success: true, message: 'Launch ingest paused' });
+});
+
+// Resume launch feed ingestion
+app.post('/api/admin/ingest/resume', (req, res) => {
+    launchIngestEnabled = true;
+    console.log('▶️ Launch ingest resumed');
+    res.json({ success: true, message: 'Launch ingest resumed' });
+});
+
 // Get scanning status
 app.get('/api/admin/status', (req, res) => {
     res.json({
         success: true,
-        scanningEnabled: scanningEnabled
+        scanningEnabled: scanningEnabled,
+        launchIngestEnabled: launchIngestEnabled
     });
 });
 
@@ -1829,7 +6126,7 @@ async function checkLiveWhales() {
                 console.log(`🔍 Checking @${whaleUsername}...`);
                 
                 // Fetch current following list
-                const currentFollowing = await fetchUserFollowing(whaleUsername, 10);
+                const currentFollowing = await fetchUserFollowing(whaleUsername, 10, PRIORITY.BACKGROUND);
                 const currentUsernames = currentFollowing.map(u => u.username);
                 
                 // Get previous snapshot
@@ -2301,6 +6598,257 @@ function verifyAdmin(req, res, next) {
     next();
 }
 
+// Get current Trakr risk engine weights
+app.get('/api/admin/risk-weights', verifyAdmin, (req, res) => {
+    res.json({ success: true, weights: riskWeights, defaults: DEFAULT_RISK_WEIGHTS });
+});
+
+// Update Trakr risk engine weights (in-memory - RISK_WEIGHTS env var applies again on restart)
+app.post('/api/admin/risk-weights', verifyAdmin, (req, res) => {
+    const { weights } = req.body;
+    
+    if (!weights || typeof weights !== 'object') {
+        return res.status(400).json({
+            success: false,
+            error: 'weights object required',
+            example: { weights: { bundle: 30, liquidity: 5 } }
+        });
+    }
+    
+    const updated = applyRiskWeights(weights);
+    console.log('⚖️ Risk weights updated:', updated);
+    res.json({ success: true, weights: updated });
+});
+
+// Add or update a bundle risk profile (missing thresholds are taken from the default profile)
+app.post('/api/admin/bundle-risk-profiles/:name', verifyAdmin, async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { thresholds } = req.body;
+        
+        if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+            return res.status(400).json({ success: false, error: 'Profile name must be 1-32 chars of a-z, 0-9, _ or -' });
+        }
+        
+        if (!thresholds || typeof thresholds !== 'object') {
+            return res.status(400).json({
+                success: false,
+                error: 'thresholds object required',
+                keys: BUNDLE_RISK_THRESHOLD_KEYS,
+                example: { thresholds: { criticalBundlePercent: 25, lowSameSlotWallets: 4 } }
+            });
+        }
+        
+        // Edits build on the profile's current thresholds
+        const current = bundleRiskProfiles.get(name)?.thresholds;
+        const normalized = normalizeBundleThresholds({ ...current, ...thresholds });
+        
+        const { error } = await supabase
+            .from('bundle_risk_profiles')
+            .upsert({
+                name: name,
+                thresholds: normalized,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'name' });
+        
+        if (error) throw error;
+        
+        bundleRiskProfiles.set(name, { thresholds: normalized, builtIn: !!BUILT_IN_BUNDLE_RISK_PROFILES[name] });
+        console.log(`🎚️ Bundle risk profile saved: ${name}`, normalized);
+        
+        res.json({ success: true, profile: { name, thresholds: normalized } });
+        
+    } catch (error) {
+        console.error('❌ Save bundle risk profile error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove a bundle risk profile (for built-ins this resets them to the shipped thresholds)
+app.delete('/api/admin/bundle-risk-profiles/:name', verifyAdmin, async (req, res) => {
+    try {
+        const { name } = req.params;
+        
+        const { error } = await supabase
+            .from('bundle_risk_profiles')
+            .delete()
+            .eq('name', name);
+        
+        if (error) throw error;
+        
+        if (BUILT_IN_BUNDLE_RISK_PROFILES[name]) {
+            bundleRiskProfiles.set(name, { thresholds: BUILT_IN_BUNDLE_RISK_PROFILES[name], builtIn: true });
+        } else {
+            bundleRiskProfiles.delete(name);
+        }
+        console.log(`🎚️ Bundle risk profile removed: ${name}`);
+        
+        res.json({ success: true, name: name, reset: !!BUILT_IN_BUNDLE_RISK_PROFILES[name] });
+        
+    } catch (error) {
+        console.error('❌ Delete bundle risk profile error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add or edit a launchpad (body: { name, detection, urlTemplate, graduation, enabled, scan })
+app.post('/api/admin/launchpads/:id', verifyAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, detection, urlTemplate, graduation, enabled, scan } = req.body;
+        
+        if (!/^[a-z0-9_-]{1,32}$/.test(id)) {
+            return res.status(400).json({ success: false, error: 'Launchpad id must be 1-32 chars of a-z, 0-9, _ or -' });
+        }
+        
+        // Edits build on the launchpad's current definition
+        const current = launchpads.find(lp => lp.id === id);
+        const rules = detection || current?.detection;
+        const detectionError = validateLaunchpadDetection(rules);
+        if (!(name || current?.name) || detectionError) {
+            return res.status(400).json({
+                success: false,
+                error: detectionError || 'name required',
+                example: {
+                    name: 'Believe',
+                    detection: { programIds: [METEORA_DBC_PROGRAM], configKeys: ['<pool config key>'] },
+                    urlTemplate: 'https://example.com/token/{mint}',
+                    graduation: { curve: 'dbc', migratesTo: 'Meteora DAMM' }
+                }
+            });
+        }
+        
+        const { error } = await supabase
+            .from('launchpads')
+            .upsert({
+                id: id,
+                name: name || current.name,
+                detection: rules,
+                url_template: urlTemplate !== undefined ? urlTemplate : (current?.urlTemplate || null),
+                graduation: graduation || current?.graduation || null,
+                enabled: enabled !== undefined ? !!enabled : (current?.enabled ?? true),
+                scan: scan !== undefined ? !!scan : (current?.scan ?? true),
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'id' });
+        
+        if (error) throw error;
+        
+        await loadLaunchpads();
+        console.log(`🚀 Launchpad saved: ${id}`);
+        
+        res.json({ success: true, launchpad: launchpads.find(lp => lp.id === id) });
+        
+    } catch (error) {
+        console.error('❌ Save launchpad error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove a launchpad (built-ins reset to their shipped definition - disable them with enabled: false instead)
+app.delete('/api/admin/launchpads/:id', verifyAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const { error } = await supabase
+            .from('launchpads')
+            .delete()
+            .eq('id', id);
+        
+        if (error) throw error;
+        
+        await loadLaunchpads();
+        console.log(`🚀 Launchpad removed: ${id}`);
+        
+        res.json({ success: true, id: id, reset: BUILT_IN_LAUNCHPADS.some(lp => lp.id === id) });
+        
+    } catch (error) {
+        console.error('❌ Delete launchpad error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List known accounts (optionally ?category=lp)
+app.get('/api/admin/known-accounts', verifyAdmin, (req, res) => {
+    const { category } = req.query;
+    const accounts = Array.from(knownAccounts.entries())
+        .map(([address, info]) => ({ address, ...info }))
+        .filter(a => !category || a.category === category);
+    
+    res.json({
+        success: true,
+        categories: KNOWN_ACCOUNT_CATEGORIES,
+        count: accounts.length,
+        accounts: accounts
+    });
+});
+
+// Add or update a known account
+app.post('/api/admin/known-accounts', verifyAdmin, async (req, res) => {
+    try {
+        const { address, label, category } = req.body;
+        
+        if (!address || address.length < 32) {
+            return res.status(400).json({ success: false, error: 'Invalid address' });
+        }
+        
+        if (!KNOWN_ACCOUNT_CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                success: false,
+                error: `category must be one of: ${KNOWN_ACCOUNT_CATEGORIES.join(', ')}`
+            });
+        }
+        
+        const { error } = await supabase
+            .from('known_accounts')
+            .upsert({
+                address: address,
+                label: label || null,
+                category: category,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'address' });
+        
+        if (error) throw error;
+        
+        knownAccounts.set(address, { label: label || null, category, builtIn: false });
+        console.log(`📒 Known account saved: ${address.slice(0, 8)} (${category}${label ? ` - ${label}` : ''})`);
+        
+        res.json({ success: true, account: { address, label: label || null, category } });
+        
+    } catch (error) {
+        console.error('❌ Save known account error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove a known account (for built-ins this drops the override and restores the shipped entry)
+app.delete('/api/admin/known-accounts/:address', verifyAdmin, async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        const { error } = await supabase
+            .from('known_accounts')
+            .delete()
+            .eq('address', address);
+        
+        if (error) throw error;
+        
+        // Removing an override of a built-in puts the shipped entry back
+        const builtIn = BUILT_IN_KNOWN_ACCOUNTS[address];
+        if (builtIn) {
+            knownAccounts.set(address, { ...builtIn, builtIn: true });
+        } else {
+            knownAccounts.delete(address);
+        }
+        console.log(`🗑️ Known account removed: ${address.slice(0, 8)}`);
+        
+        res.json({ success: true, reset: !!builtIn });
+        
+    } catch (error) {
+        console.error('❌ Remove known account error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ==========================================
 // CRON JOBS
 // ==========================================
@@ -2314,6 +6862,46 @@ cron.schedule('0 0 * * *', async () => {
         console.error('Live X Tracker error:', error);
     }
 });
+
+// Creator ledger - re-check recent tokens for rugs every 30 minutes
+cron.schedule('*/30 * * * *', async () => {
+    console.log('⏰ Creator ledger recheck triggered');
+    try {
+        await recheckCreatorLedger();
+    } catch (error) {
+        console.error('Creator ledger recheck error:', error);
+    }
+});
+
+// Launch feed ingestion - every minute (own switch, see /api/admin/ingest/*)
+cron.schedule('* * * * *', async () => {
+    if (!launchIngestEnabled) return;
+    try {
+        await ingestLaunches();
+    } catch (error) {
+        console.error('Launch ingest error:', error.message);
+    }
+});
+
+// Bonding curve progress - re-read tracked curves every 30 seconds (ETA samples + threshold events)
+cron.schedule('*/30 * * * * *', async () => {
+    if (!scanningEnabled) return;
+    try {
+        await refreshTrackedCurves();
+    } catch (error) {
+        console.error('Curve refresh error:', error.message);
+    }
+});
+
+// Meteora DBC pool watcher - every 20 seconds (the checkpoint covers anything between polls)
+// Not paused with auto-scanning: DBC launches are only listed from the pools this records
+cron.schedule('*/20 * * * * *', async () => {
+    try {
+        await pollDbcPoolCreations();
+    } catch (error) {
+        console.error('DBC watcher error:', error.message);
+    }
+});
 // ==========================================
 // JUPITER API PROXY (for Chrome Extension)
 // ==========================================
@@ -2675,8 +7263,10 @@ app.post('/api/wallet-tracker/add', async (req, res) => {
         if (HELIUS_API_KEY) {
             try {
                 // First, get existing webhooks
-                const listResponse = await fetch(
-                    `https://api.helius.xyz/v0/webhooks?api-key=${HELIUS_API_KEY}`
+                const listResponse = await limitedFetch('helius',
+                    `${HELIUS_API_URL}/webhooks?api-key=${HELIUS_API_KEY}`,
+                    {},
+                    { priority: PRIORITY.USER, timeoutMs: 10000 }
                 );
                 
                 let webhookId = null;
@@ -2692,8 +7282,8 @@ app.post('/api/wallet-tracker/add', async (req, res) => {
                     // Update existing webhook to add new address
                     const currentAddresses = await getWebhookAddresses(webhookId);
                     if (!currentAddresses.includes(address)) {
-                        const updateResponse = await fetch(
-                            `https://api.helius.xyz/v0/webhooks/${webhookId}?api-key=${HELIUS_API_KEY}`,
+                        const updateResponse = await limitedFetch('helius',
+                            `${HELIUS_API_URL}/webhooks/${webhookId}?api-key=${HELIUS_API_KEY}`,
                             {
                                 method: 'PUT',
                                 headers: { 'Content-Type': 'application/json' },
@@ -2703,7 +7293,8 @@ app.post('/api/wallet-tracker/add', async (req, res) => {
                                     transactionTypes: ['SWAP', 'TRANSFER', 'ANY'],
                                     webhookType: 'enhanced'
                                 })
-                            }
+                            },
+                            { priority: PRIORITY.USER, timeoutMs: 10000 }
                         );
                         
                         if (!updateResponse.ok) {
@@ -2714,8 +7305,8 @@ app.post('/api/wallet-tracker/add', async (req, res) => {
                     }
                 } else {
                     // Create new webhook
-                    const createResponse = await fetch(
-                        `https://api.helius.xyz/v0/webhooks?api-key=${HELIUS_API_KEY}`,
+                    const createResponse = await limitedFetch('helius',
+                        `${HELIUS_API_URL}/webhooks?api-key=${HELIUS_API_KEY}`,
                         {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
@@ -2725,7 +7316,8 @@ app.post('/api/wallet-tracker/add', async (req, res) => {
                                 transactionTypes: ['SWAP', 'TRANSFER', 'ANY'],
                                 webhookType: 'enhanced'
                             })
-                        }
+                        },
+                        { priority: PRIORITY.USER, timeoutMs: 10000 }
                     );
                     
                     if (!createResponse.ok) {
@@ -2782,8 +7374,10 @@ app.post('/api/wallet-tracker/sync', async (req, res) => {
 // Helper to get current webhook addresses
 async function getWebhookAddresses(webhookId) {
     try {
-        const response = await fetch(
-            `https://api.helius.xyz/v0/webhooks/${webhookId}?api-key=${HELIUS_API_KEY}`
+        const response = await limitedFetch('helius',
+            `${HELIUS_API_URL}/webhooks/${webhookId}?api-key=${HELIUS_API_KEY}`,
+            {},
+            { priority: PRIORITY.USER, timeoutMs: 10000 }
         );
         if (!response.ok) return [];
         const data = await response.json();
@@ -2837,13 +7431,14 @@ app.post('/api/wallet-tracker/webhook', async (req, res) => {
             if (!tx.events?.swap && tx.signature && HELIUS_API_KEY) {
                 try {
                     console.log(`   🔍 Fetching full tx details from Helius...`);
-                    const parseResponse = await fetch(
-                        `https://api.helius.xyz/v0/transactions/?api-key=${HELIUS_API_KEY}`,
+                    const parseResponse = await limitedFetch('helius',
+                        `${HELIUS_API_URL}/transactions/?api-key=${HELIUS_API_KEY}`,
                         {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({ transactions: [tx.signature] })
-                        }
+                        },
+                        { priority: PRIORITY.NORMAL, timeoutMs: 10000 }
                     );
                     
                     if (parseResponse.ok) {
@@ -2895,8 +7490,8 @@ app.post('/api/wallet-tracker/webhook', async (req, res) => {
     }
 });
 
-// Cache for token symbols (to avoid repeated API calls)
-const tokenSymbolCache = new Map();
+// Cache for token symbols (to avoid repeated API calls) - symbols rarely change
+const tokenSymbolCache = createCache('token-symbol', { ttl: 24 * 60 * 60 * 1000 });
 
 // Known token symbols (common ones)
 const KNOWN_TOKENS = {
@@ -2921,13 +7516,14 @@ async function getTokenSymbol(mint) {
     }
     
     // Check cache
-    if (tokenSymbolCache.has(mint)) {
-        return tokenSymbolCache.get(mint);
+    const cached = await tokenSymbolCache.get(mint);
+    if (cached) {
+        return cached.data;
     }
     
     // Fetch from DexScreener
     try {
-        const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
+        const response = await limitedFetch('dexscreener', `https://api.dexscreener.com/latest/dex/tokens/${mint}`);
         if (response.ok) {
             const data = await response.json();
             if (data.pairs && data.pairs.length > 0) {
@@ -3172,47 +7768,22 @@ app.get('/api/wallet-tracker/holdings/:address', async (req, res) => {
         }
         
         // Fetch native SOL balance and token holdings in parallel
-        const [solBalanceResponse, tokensResponse] = await Promise.all([
+        const [solBalance, assets] = await Promise.all([
             // Get native SOL balance
-            fetch(`https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    id: 'sol-balance',
-                    method: 'getBalance',
-                    params: [address]
-                })
-            }),
+            heliusRpc('getBalance', [address], PRIORITY.USER).catch(() => null),
             // Get token holdings
-            fetch(`https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    id: 'holdings',
-                    method: 'getAssetsByOwner',
-                    params: {
-                        ownerAddress: address,
-                        page: 1,
-                        limit: 50,
-                        displayOptions: {
-                            showFungible: true
-                        }
-                    }
-                })
-            })
+            heliusRpc('getAssetsByOwner', {
+                ownerAddress: address,
+                page: 1,
+                limit: 50,
+                displayOptions: {
+                    showFungible: true
+                }
+            }, PRIORITY.USER)
         ]);
         
-        const solBalanceData = await solBalanceResponse.json();
-        const tokensData = await tokensResponse.json();
-        
-        if (tokensData.error) {
-            throw new Error(tokensData.error.message || 'Unknown Helius error');
-        }
-        
         // Parse token holdings
-        const holdings = (tokensData.result?.items || [])
+        const holdings = (assets?.items || [])
             .filter(item => item.token_info || item.interface === 'FungibleToken')
             .map(item => ({
                 mint: item.id,
@@ -3224,13 +7795,12 @@ app.get('/api/wallet-tracker/holdings/:address', async (req, res) => {
             }));
         
         // Add native SOL balance
-        if (solBalanceData.result?.value) {
-            const solBalance = solBalanceData.result.value;
+        if (solBalance?.value) {
             holdings.unshift({
                 mint: 'So11111111111111111111111111111111111111112',
                 symbol: 'SOL',
                 name: 'Solana',
-                balance: solBalance,
+                balance: solBalance.value,
                 decimals: 9,
                 valueUsd: null
             });
@@ -3266,10 +7836,10 @@ app.get('/api/wallet-tracker/holdings/:address', async (req, res) => {
                     const priceUrl = `https://api.dexscreener.com/latest/dex/tokens/${mints}`;
                     console.log(`📊 Fetching prices from DexScreener: ${batch.length} tokens`);
                     
-                    const priceResponse = await fetch(priceUrl, {
+                    const priceResponse = await limitedFetch('dexscreener', priceUrl, {
                         method: 'GET',
                         headers: { 'Accept': 'application/json' }
-                    });
+                    }, { priority: PRIORITY.USER, timeoutMs: 5000 });
                     
                     if (priceResponse.ok) {
                         const priceData = await priceResponse.json();
@@ -3521,10 +8091,27 @@ app.listen(PORT, () => {
     console.log(`   POST /api/whale/live/toggle-pause`);
     console.log(`   POST /api/whale/live/pause-all`);
     console.log(`   GET  /api/stats`);
-    console.log(`   GET  /api/live-launches (Pump.fun graduations + Bags.fm + Printr + Easy)`);
+    console.log(`   GET  /api/live-launches (Pump.fun graduations + Bags.fm + Printr + Easy - ?source=&minLiquidity=&sort=...)`);
+    console.log(`   GET  /api/launches?after=<cursor> (Persisted launch feed)`);
+    console.log(`   GET  /api/launches/stream (SSE launch stream - ?source=&minLiquidity=&maxRisk=)`);
     console.log(`   GET  /api/refresh/:contract (Refresh token data)`);
+    console.log(`   POST /api/tokens/analyze (Batch RugCheck + bundle + market + authority analysis)`);
+    console.log(`   GET  /api/tokens/:contract/holder-history (Holder concentration history)`);
+    console.log(`   GET  /api/creators/:address (Creator reputation ledger)`);
+    console.log(`   GET  /api/risk-codes (RugCheck risk taxonomy)`);
     console.log(`   GET  /api/bags-launches (Bags.fm + Printr + Easy DBC launches)`);
-    console.log(`   GET  /api/all-launches (Combined Pump + Bags + Printr)`);
+    console.log(`   GET  /api/launchpads (Launchpad registry - detection rules, URLs, graduation)`);
+    console.log(`   GET  /api/all-launches (Combined Pump + Bags + Printr - same filters, newest first by default)`);
+    console.log(`   GET  /api/admin/risk-weights (Trakr risk engine weights)`);
+    console.log(`   GET  /api/admin/known-accounts (LP/CEX/burn/locker/bot registry)`);
+    console.log(`   GET  /api/bundle-risk-profiles (Bundle risk profiles - select with ?riskProfile=)`);
+    console.log(`   POST /api/admin/bundle-risk-profiles/:name (Edit bundle risk thresholds)`);
+    console.log(`   POST /api/admin/launchpads/:id (Add or edit a launchpad)`);
+    console.log(`   POST /api/admin/ingest/pause|resume (Launch feed ingestion switch)`);
+    console.log(`   GET  /api/cache/stats (Cache hit/miss counters)`);
+    console.log(`   GET  /api/metrics/rate-limits (Outbound queue depth per provider)`);
+    console.log(`   GET  /api/metrics/graduation-detector (On-chain Pump.fun graduation detector)`);
+    console.log(`   GET  /api/metrics/dbc-watcher (Meteora DBC pool-creation watcher)`);
     console.log(`   GET  /jupiter/quote (Jupiter proxy)`);
     console.log(`   POST /jupiter/swap (Jupiter proxy)`);
     console.log(`   POST /api/analytics/connect (Log wallet connection)`);